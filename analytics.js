@@ -0,0 +1,420 @@
+/**
+ * LifeScribe Analytics
+ * One event bus for everything the site measures. Modules call
+ * `lifescribeAnalytics.track('<type>', data)`; each event type has a schema
+ * so a misspelled field is caught here instead of in a dashboard weeks later.
+ * Sinks subscribe to the bus and deliver events:
+ *
+ * - gtag: Google Analytics, when loaded and analytics consent is granted
+ * - endpoint: `popup_*` events only, through the popup system's batched
+ *   /api/popup/track transport; everything else is site analytics for gtag
+ * - console: on localhost or with `?ls_debug=1`
+ *
+ * Built-in measurements: Core Web Vitals (LCP, CLS, INP, FCP, TTFB) from
+ * PerformanceObserver, scroll-depth milestones, time spent reading each
+ * `[data-analytics-section]` and clicks on outbound links and legal PDFs.
+ */
+
+/**
+ * Event schemas: field name to type. A trailing `?` marks a field optional.
+ */
+const LIFESCRIBE_ANALYTICS_EVENTS = {
+    web_vital: { name: 'string', value: 'number', rating: 'string', navigation_type: 'string?' },
+    scroll_depth: { percent: 'number' },
+    section_dwell: { section: 'string', seconds: 'number' },
+    outbound_click: { url: 'string', domain: 'string' },
+    legal_document_click: { document: 'string' },
+    cta_click: { cta: 'string', plan: 'string', billing: 'string', utm_source: 'string', utm_campaign: 'string' },
+    billing_period_change: { billing: 'string' },
+    faq_feedback: { faq_id: 'string', helpful: 'boolean' },
+    timeline_search: { birth_decade: 'number', approximate: 'boolean', events: 'number' },
+    prompt_select: { prompt_id: 'string', source: 'string' },
+    prompt_shuffle: { theme: 'string' },
+    draft_start: { prompt_id: 'string', dictation: 'boolean' },
+    chat_open: { mode: 'string' },
+    popup_performance: { metric: 'string', value: 'number', popup_id: 'string?' }
+};
+
+/**
+ * "good" up to the first value, "poor" above the second
+ * (https://web.dev/articles/vitals)
+ */
+const LIFESCRIBE_VITAL_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+class LifeScribeAnalytics {
+    constructor(options = {}) {
+        this.schemas = { ...LIFESCRIBE_ANALYTICS_EVENTS };
+        this.listeners = new Map();
+        this.sinks = new Map();
+        this.debug = options.debug ?? LifeScribeAnalytics.isDevelopment();
+
+        this.scrollMilestones = options.scrollMilestones || [25, 50, 75, 90, 100];
+        this.reachedMilestones = new Set();
+        this.minimumDwell = options.minimumDwell || 1000;
+        this.sections = new Map();
+        this.vitals = {};
+
+        this.addSink('gtag', (event) => this.sendToGtag(event));
+        this.addSink('endpoint', (event) => this.sendToEndpoint(event));
+        if (this.debug) {
+            this.addSink('console', (event) => console.log(`📊 ${event.type}`, event.data));
+        }
+
+        this.observeWebVitals();
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    init() {
+        this.trackScrollDepth();
+        this.trackSectionDwell();
+        this.trackLinkClicks();
+        console.log('📊 Analytics ready');
+    }
+
+    static isDevelopment() {
+        const host = window.location.hostname;
+        return host === 'localhost' || host === '127.0.0.1'
+            || new URLSearchParams(window.location.search).get('ls_debug') === '1';
+    }
+
+    /**
+     * Event bus
+     */
+
+    /**
+     * Validate an event against its schema and hand it to listeners and sinks.
+     * Returns false (and warns) for unknown types or mistyped fields.
+     */
+    track(type, data = {}) {
+        const problem = this.validate(type, data);
+        if (problem) {
+            console.warn(`Analytics event "${type}" dropped: ${problem}`);
+            return false;
+        }
+
+        const event = { type, data, timestamp: Date.now() };
+        [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])].forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in analytics listener:', error);
+            }
+        });
+
+        this.sinks.forEach((sink, name) => {
+            try {
+                sink(event);
+            } catch (error) {
+                console.error(`Analytics sink "${name}" failed:`, error);
+            }
+        });
+
+        return true;
+    }
+
+    validate(type, data) {
+        const schema = this.schemas[type];
+        if (!schema) return 'unknown event type';
+
+        for (const [field, declared] of Object.entries(schema)) {
+            const optional = declared.endsWith('?');
+            const expected = optional ? declared.slice(0, -1) : declared;
+            const value = data[field];
+
+            if (value === undefined || value === null) {
+                if (!optional) return `missing "${field}"`;
+            } else if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+                return `"${field}" should be a ${expected}`;
+            }
+        }
+
+        const unknown = Object.keys(data).find(field => !(field in schema));
+        return unknown ? `unexpected field "${unknown}"` : null;
+    }
+
+    /**
+     * Declare a new event type (see LIFESCRIBE_ANALYTICS_EVENTS for the format)
+     */
+    registerEvent(type, schema) {
+        this.schemas[type] = schema;
+    }
+
+    /**
+     * Listen for one event type, or '*' for all. Returns an unsubscribe function.
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => {
+            this.listeners.set(type, this.listeners.get(type).filter(existing => existing !== listener));
+        };
+    }
+
+    /**
+     * Deliver every event to `sink(event)`. Sinks check consent themselves.
+     */
+    addSink(name, sink) {
+        this.sinks.set(name, sink);
+        return () => this.sinks.delete(name);
+    }
+
+    sendToGtag({ type, data }) {
+        if (typeof gtag === 'undefined' || !window.LifeScribeConsent?.has('analytics')) return;
+
+        if (type === 'web_vital') {
+            // GA's convention: one event per metric, CLS scaled to an integer
+            gtag('event', data.name, {
+                value: Math.round(data.name === 'CLS' ? data.value * 1000 : data.value),
+                metric_value: data.value,
+                metric_rating: data.rating,
+                non_interaction: true
+            });
+            return;
+        }
+
+        gtag('event', type, data);
+    }
+
+    /**
+     * The popup API stores events per popup, so only popup events go there.
+     * The popup system batches, persists and checks analytics consent.
+     */
+    sendToEndpoint({ type, data }) {
+        if (!type.startsWith('popup_') || !window.lifescribePopups) return;
+
+        const { popup_id: popupId = null, ...rest } = data;
+        window.lifescribePopups.trackEvent(type, popupId, rest);
+    }
+
+    /**
+     * Core Web Vitals
+     */
+    observeWebVitals() {
+        const navigation = typeof performance.getEntriesByType === 'function'
+            ? performance.getEntriesByType('navigation')[0]
+            : null;
+        this.navigationType = navigation ? navigation.type : 'navigate';
+
+        if (!('PerformanceObserver' in window)) return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        const observe = (type, callback, options = {}) => {
+            if (!supported.includes(type)) return null;
+            try {
+                const observer = new PerformanceObserver(list => callback(list.getEntries()));
+                observer.observe({ type, buffered: true, ...options });
+                return observer;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        // Prerendered pages count from activation, not from the prerender
+        const activationStart = (navigation && navigation.activationStart) || 0;
+
+        if (navigation) {
+            this.reportVital('TTFB', Math.max(0, navigation.responseStart - activationStart));
+        }
+
+        observe('paint', entries => {
+            const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcp) this.reportVital('FCP', Math.max(0, fcp.startTime - activationStart));
+        });
+
+        let lcp = null;
+        const lcpObserver = observe('largest-contentful-paint', entries => {
+            const last = entries[entries.length - 1];
+            if (last) lcp = Math.max(0, last.startTime - activationStart);
+        });
+
+        // CLS: the largest burst of shifts (gaps under 1s, at most 5s long)
+        let cls = 0;
+        let session = { value: 0, first: 0, last: 0 };
+        observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+                if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+                    session.value += entry.value;
+                    session.last = entry.startTime;
+                } else {
+                    session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+                }
+                cls = Math.max(cls, session.value);
+            });
+        });
+
+        // INP: longest interaction, ignoring one outlier per 50 interactions
+        const interactions = new Map();
+        const recordInteractions = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+            });
+        };
+        observe('event', recordInteractions, { durationThreshold: 40 });
+        observe('first-input', recordInteractions);
+
+        // LCP stops at the first input; the rest are final when the page is hidden
+        const finalizeLcp = () => {
+            if (lcp === null || !lcpObserver) return;
+            lcpObserver.takeRecords().forEach(entry => {
+                lcp = Math.max(0, entry.startTime - activationStart);
+            });
+            lcpObserver.disconnect();
+            this.reportVital('LCP', lcp);
+        };
+        ['keydown', 'pointerdown'].forEach(type => {
+            addEventListener(type, () => setTimeout(finalizeLcp, 0), { once: true, capture: true });
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'hidden') return;
+
+            finalizeLcp();
+            this.reportVital('CLS', cls);
+
+            if (interactions.size) {
+                const durations = [...interactions.values()].sort((a, b) => b - a);
+                this.reportVital('INP', durations[Math.min(durations.length - 1, Math.floor(interactions.size / 50))]);
+            }
+        });
+    }
+
+    /**
+     * Report a metric once, then again only if its value changed
+     */
+    reportVital(name, value) {
+        const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+        if (this.vitals[name] === rounded) return;
+        this.vitals[name] = rounded;
+
+        const [good, poor] = LIFESCRIBE_VITAL_THRESHOLDS[name];
+        this.track('web_vital', {
+            name,
+            value: rounded,
+            rating: rounded <= good ? 'good' : rounded <= poor ? 'needs-improvement' : 'poor',
+            navigation_type: this.navigationType
+        });
+    }
+
+    /**
+     * Engagement
+     */
+    trackScrollDepth() {
+        let scheduled = false;
+        const check = () => {
+            scheduled = false;
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const percent = scrollable > 0 ? Math.round((window.scrollY / scrollable) * 100) : 100;
+
+            this.scrollMilestones.forEach(milestone => {
+                if (percent >= milestone && !this.reachedMilestones.has(milestone)) {
+                    this.reachedMilestones.add(milestone);
+                    this.track('scroll_depth', { percent: milestone });
+                }
+            });
+        };
+
+        window.addEventListener('scroll', () => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(check);
+        }, { passive: true });
+    }
+
+    /**
+     * A section counts as read while it fills half the viewport (or is
+     * half visible, for short ones) and the tab is in the foreground.
+     * Time is reported per section whenever the page is hidden.
+     */
+    trackSectionDwell() {
+        if (!('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver(entries => {
+            const now = performance.now();
+            entries.forEach(entry => {
+                const section = this.sections.get(entry.target);
+                const visible = entry.intersectionRatio >= 0.5
+                    || entry.intersectionRect.height >= window.innerHeight * 0.5;
+
+                if (visible && section.since === null && document.visibilityState === 'visible') {
+                    section.since = now;
+                } else if (!visible && section.since !== null) {
+                    section.total += now - section.since;
+                    section.since = null;
+                }
+                section.visible = visible;
+            });
+        }, { threshold: [0, 0.25, 0.5, 0.75, 1] });
+
+        document.querySelectorAll('[data-analytics-section]').forEach(element => {
+            this.sections.set(element, { name: element.dataset.analyticsSection, total: 0, since: null, visible: false });
+            observer.observe(element);
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushSectionDwell();
+            } else {
+                const now = performance.now();
+                this.sections.forEach(section => {
+                    if (section.visible) section.since = now;
+                });
+            }
+        });
+    }
+
+    flushSectionDwell() {
+        const now = performance.now();
+        this.sections.forEach(section => {
+            if (section.since !== null) {
+                section.total += now - section.since;
+                section.since = null;
+            }
+            if (section.total >= this.minimumDwell) {
+                this.track('section_dwell', { section: section.name, seconds: Math.round(section.total / 1000) });
+                section.total = 0;
+            }
+        });
+    }
+
+    /**
+     * Legal PDFs and links to other sites. Signup CTAs are tracked by
+     * cta-router.js, so they are skipped here.
+     */
+    trackLinkClicks() {
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest && event.target.closest('a[href]');
+            if (!link || link.hasAttribute('data-cta')) return;
+
+            let url;
+            try {
+                url = new URL(link.getAttribute('href'), window.location.href);
+            } catch (error) {
+                return;
+            }
+
+            if (url.pathname.toLowerCase().endsWith('.pdf')) {
+                this.track('legal_document_click', { document: decodeURIComponent(url.pathname.split('/').pop()) });
+            } else if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+                this.track('outbound_click', { url: url.href, domain: url.hostname });
+            }
+        });
+    }
+}
+
+window.LifeScribeAnalytics = LifeScribeAnalytics;
+window.lifescribeAnalytics = new LifeScribeAnalytics();
@@ -0,0 +1,567 @@
+/**
+ * LifeScribe Support Chat
+ * Brevo Conversations, loaded only when a visitor wants it.
+ *
+ * A lightweight launcher stands in for the ~90 KB widget. Hovering or
+ * focusing it starts loading the widget, unless the loading policy
+ * (loading-policy.js) defers third-party scripts on a slow connection;
+ * clicking it (or any element with `data-chat-open`) opens the chat. Without "Support chat" consent the
+ * launcher first offers to turn chat on or to write to us instead.
+ *
+ * Chat and popups take turns: the launcher and widget hide while a popup
+ * is showing, and popups wait while chat is open (popup-system.js checks
+ * `isOpen`). The widget doesn't report being minimized, so once a
+ * conversation starts popups stay away for the rest of the page view.
+ *
+ * Withdrawing "Support chat" consent hides the widget (a loaded script
+ * can't be taken back off the page) and brings back the launcher, which
+ * then offers consent or the contact form again.
+ *
+ * If the widget script is blocked or fails to load, the launcher opens a
+ * small contact form that writes the message into the visitor's email app
+ * (mailto:), with the address shown for copying.
+ *
+ * Dispatches `lifescribe:chat-open` and `lifescribe:chat-close` on document.
+ */
+
+class LifeScribeChat {
+    constructor(options = {}) {
+        this.conversationsId = options.conversationsId || '687010eb98c0fc1b3b0d39b7';
+        this.scriptUrl = options.scriptUrl || 'https://conversations-widget.brevo.com/brevo-conversations.js';
+        this.contactEmail = options.contactEmail || 'hello@trylifescribe.com';
+        this.loadTimeout = options.loadTimeout || 10000;
+
+        this.state = 'idle'; // idle, loading, ready or failed
+        this.isOpen = false;
+        this.openMode = null;
+        this.suppressed = false;
+        this.openWhenReady = false;
+        this.launcher = null;
+        this.panel = null;
+        this.panelMode = null;
+        this.loadTimer = null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    init() {
+        this.injectStyles();
+        this.renderLauncher();
+
+        document.addEventListener('click', (event) => {
+            const trigger = event.target.closest && event.target.closest('[data-chat-open]');
+            if (trigger) {
+                event.preventDefault();
+                this.open();
+            }
+        });
+
+        // Popups and chat share the bottom of the screen; only one at a time
+        document.addEventListener('lifescribe:popup-show', () => this.setSuppressed(true));
+        document.addEventListener('lifescribe:popup-close', () => this.setSuppressed(false));
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            this.translateLauncher();
+            if (this.panel) this.showPanel(this.panelMode);
+        });
+
+        // Consent granted or withdrawn elsewhere (e.g. the preferences dialog)
+        if (window.LifeScribeConsent) {
+            window.LifeScribeConsent.onChange(() => this.handleConsentChange());
+        }
+
+        console.log('💬 Support chat launcher ready');
+    }
+
+    t(key, fallback, params) {
+        return window.lifescribeI18n ? window.lifescribeI18n.t(`chat.${key}`, fallback, params) : fallback;
+    }
+
+    hasConsent() {
+        return !window.LifeScribeConsent || window.LifeScribeConsent.has('chat');
+    }
+
+    /**
+     * The Brevo widget stands in for the launcher only while chat is allowed
+     */
+    showsWidget() {
+        return this.state === 'ready' && this.hasConsent();
+    }
+
+    handleConsentChange() {
+        if (this.hasConsent()) {
+            if (this.state === 'ready' && !this.suppressed) {
+                this.launcher.hidden = true;
+                this.callWidget('show');
+            }
+            // The visitor was waiting on the consent prompt
+            if (this.panelMode === 'consent') {
+                this.closePanel(false);
+                this.open();
+            }
+            return;
+        }
+
+        this.openWhenReady = false;
+        this.launcher.removeAttribute('aria-busy');
+        if (this.state === 'ready') this.callWidget('hide');
+        this.launcher.hidden = this.suppressed;
+        if (this.openMode === 'widget') this.setOpen(false);
+    }
+
+    renderLauncher() {
+        this.launcher = document.createElement('button');
+        this.launcher.type = 'button';
+        this.launcher.className = 'lifescribe-chat-launcher';
+        this.launcher.setAttribute('aria-haspopup', 'dialog');
+        this.launcher.innerHTML = `
+            <span class="lifescribe-chat-icon" aria-hidden="true">💬</span>
+            <span class="lifescribe-chat-label"></span>
+        `;
+        this.translateLauncher();
+
+        // Signs of intent: start fetching so the click feels instant, when
+        // the connection can spare it
+        const warm = () => {
+            const policy = window.lifescribeLoadingPolicy;
+            if (this.hasConsent() && !(policy && policy.get().deferThirdParty)) this.load();
+        };
+        this.launcher.addEventListener('pointerenter', warm);
+        this.launcher.addEventListener('focus', warm);
+        this.launcher.addEventListener('touchstart', warm, { passive: true });
+        this.launcher.addEventListener('click', () => {
+            if (this.panel) {
+                this.closePanel();
+            } else {
+                this.open();
+            }
+        });
+
+        document.body.appendChild(this.launcher);
+    }
+
+    translateLauncher() {
+        this.launcher.querySelector('.lifescribe-chat-label').textContent = this.t('launcher', 'Chat with us');
+    }
+
+    /**
+     * Open chat: the widget when allowed and available, otherwise the
+     * consent prompt or the contact form
+     */
+    open() {
+        if (this.suppressed) return;
+
+        if (!this.hasConsent()) {
+            this.showPanel('consent');
+            return;
+        }
+
+        if (this.state === 'failed') {
+            this.showPanel('contact');
+            return;
+        }
+
+        this.openWhenReady = true;
+        this.load();
+        if (this.state === 'ready') {
+            this.openWidget();
+        } else {
+            this.launcher.setAttribute('aria-busy', 'true');
+        }
+    }
+
+    /**
+     * Add the Brevo script once. Calls made before it arrives are queued
+     * by the stub, which is how Brevo's own snippet works.
+     */
+    load() {
+        if (this.state !== 'idle') return;
+        this.state = 'loading';
+
+        window.BrevoConversationsID = this.conversationsId;
+        window.BrevoConversationsSetup = {
+            ...(window.BrevoConversationsSetup || {}),
+            locale: window.lifescribeI18n ? window.lifescribeI18n.locale.split('-')[0] : 'en'
+        };
+        window.BrevoConversations = window.BrevoConversations || function () {
+            (window.BrevoConversations.q = window.BrevoConversations.q || []).push(arguments);
+        };
+        this.identify();
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = this.scriptUrl;
+        script.onload = () => this.handleLoaded();
+        script.onerror = () => this.handleFailed('error');
+        this.loadTimer = setTimeout(() => this.handleFailed('timeout'), this.loadTimeout);
+        document.head.appendChild(script);
+    }
+
+    handleLoaded() {
+        if (this.state !== 'loading') return;
+
+        clearTimeout(this.loadTimer);
+        this.state = 'ready';
+        // Consent was withdrawn while the script loaded
+        if (!this.hasConsent()) {
+            this.callWidget('hide');
+            return;
+        }
+
+        // The widget brings its own button
+        this.launcher.hidden = true;
+        if (this.suppressed) this.callWidget('hide');
+        if (this.openWhenReady && !this.suppressed) this.openWidget();
+        console.log('💬 Brevo Conversations loaded');
+    }
+
+    handleFailed(reason) {
+        if (this.state !== 'loading') return;
+
+        clearTimeout(this.loadTimer);
+        this.state = 'failed';
+        this.launcher.removeAttribute('aria-busy');
+        console.warn(`Brevo Conversations unavailable (${reason}), using the contact form`);
+
+        if (this.openWhenReady) {
+            this.openWhenReady = false;
+            this.showPanel('contact');
+        }
+    }
+
+    openWidget() {
+        this.openWhenReady = false;
+        this.launcher.removeAttribute('aria-busy');
+        this.identify();
+        this.callWidget('openChat', true);
+        this.setOpen(true, 'widget');
+    }
+
+    callWidget(...args) {
+        try {
+            window.BrevoConversations(...args);
+        } catch (error) {
+            console.warn('Brevo Conversations call failed:', args[0], error);
+        }
+    }
+
+    /**
+     * Email the visitor gave a popup this session, if any
+     */
+    getKnownEmail() {
+        if (window.lifescribePopups && window.lifescribePopups.capturedEmail) {
+            return window.lifescribePopups.capturedEmail;
+        }
+        try {
+            return sessionStorage.getItem('lifescribe_popup_email') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Let the support team see who they're talking to
+     */
+    identify() {
+        const email = this.getKnownEmail();
+        if (email && window.BrevoConversations) {
+            this.callWidget('updateIntegrationData', { email });
+        }
+    }
+
+    /**
+     * Switching from one panel to another (or to the widget) keeps chat
+     * open, so popups don't slip in between
+     */
+    setOpen(open, mode = null) {
+        if (open && mode !== this.openMode && window.lifescribeAnalytics) {
+            window.lifescribeAnalytics.track('chat_open', { mode });
+        }
+        this.openMode = mode;
+
+        if (this.isOpen === open) return;
+        this.isOpen = open;
+
+        document.dispatchEvent(new CustomEvent(open ? 'lifescribe:chat-open' : 'lifescribe:chat-close', {
+            detail: { mode }
+        }));
+    }
+
+    /**
+     * Step aside while a popup is showing
+     */
+    setSuppressed(suppressed) {
+        this.suppressed = suppressed;
+
+        if (this.showsWidget()) {
+            this.callWidget(suppressed ? 'hide' : 'show');
+        } else {
+            this.launcher.hidden = suppressed;
+        }
+        if (suppressed && this.panel) {
+            this.closePanel(false);
+        }
+    }
+
+    /**
+     * Small non-modal panel above the launcher: `consent` asks to turn
+     * chat on, `contact` is the email fallback
+     */
+    showPanel(mode) {
+        if (this.panel) this.removePanel();
+
+        const escape = lifescribeEscapeHTML;
+        const email = escape(this.contactEmail);
+        const panel = document.createElement('div');
+        panel.className = 'lifescribe-chat-panel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', 'lifescribe-chat-title');
+
+        const close = `<button type="button" class="lifescribe-chat-close" data-chat-action="close" aria-label="${escape(this.t('close', 'Close'))}">×</button>`;
+
+        if (mode === 'consent') {
+            panel.innerHTML = `
+                ${close}
+                <h2 id="lifescribe-chat-title" class="lifescribe-chat-title">${escape(this.t('consent_title', 'Chat with our team'))}</h2>
+                <p class="lifescribe-chat-text">${escape(this.t('consent_text', 'Live chat is provided by Brevo, which sets its own cookies. Turn on support chat to start a conversation.'))}</p>
+                <div class="lifescribe-chat-actions">
+                    <button type="button" class="lifescribe-chat-button" data-chat-action="contact">${escape(this.t('email_instead', 'Email us instead'))}</button>
+                    <button type="button" class="lifescribe-chat-button lifescribe-chat-primary" data-chat-action="allow">${escape(this.t('allow', 'Turn on chat'))}</button>
+                </div>
+            `;
+        } else {
+            const intro = this.state === 'failed'
+                ? this.t('unavailable', "Chat isn't available right now. Send us a message and we'll reply by email.")
+                : this.t('contact_text', "Send us a message and we'll reply by email.");
+            panel.innerHTML = `
+                ${close}
+                <h2 id="lifescribe-chat-title" class="lifescribe-chat-title">${escape(this.t('contact_title', 'Send us a message'))}</h2>
+                <p class="lifescribe-chat-text">${escape(intro)}</p>
+                <form class="lifescribe-chat-form">
+                    <label for="lifescribe-chat-email">${escape(this.t('email_label', 'Your email'))}</label>
+                    <input type="email" id="lifescribe-chat-email" name="email" autocomplete="email" required>
+                    <label for="lifescribe-chat-message">${escape(this.t('message_label', 'Message'))}</label>
+                    <textarea id="lifescribe-chat-message" name="message" rows="4" required></textarea>
+                    <button type="submit" class="lifescribe-chat-button lifescribe-chat-primary">${escape(this.t('send', 'Open in my email app'))}</button>
+                </form>
+                <p class="lifescribe-chat-text">${escape(this.t('direct', 'Or write to {email}')).replace('{email}', `<a href="mailto:${email}">${email}</a>`)}</p>
+            `;
+            panel.querySelector('#lifescribe-chat-email').value = this.getKnownEmail();
+            panel.querySelector('form').addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.sendEmail(event.target);
+            });
+        }
+
+        panel.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-chat-action]')?.dataset.chatAction;
+            if (action === 'close') this.closePanel();
+            if (action === 'contact') this.showPanel('contact');
+            if (action === 'allow') this.allowChat();
+        });
+        panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.closePanel();
+        });
+
+        this.panel = panel;
+        this.panelMode = mode;
+        this.launcher.setAttribute('aria-expanded', 'true');
+        document.body.appendChild(panel);
+        if (mode === 'consent') {
+            panel.querySelector('[data-chat-action="allow"]').focus();
+        } else {
+            const email = panel.querySelector('#lifescribe-chat-email');
+            (email.value ? panel.querySelector('#lifescribe-chat-message') : email).focus();
+        }
+        this.setOpen(true, mode === 'consent' ? 'consent_prompt' : 'contact_form');
+    }
+
+    closePanel(returnFocus = true) {
+        if (!this.panel) return;
+
+        this.removePanel();
+        if (returnFocus && !this.launcher.hidden) this.launcher.focus();
+        this.setOpen(false);
+    }
+
+    removePanel() {
+        this.panel.remove();
+        this.panel = null;
+        this.panelMode = null;
+        this.launcher.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Grant only the chat category, keeping the visitor's other choices
+     */
+    allowChat() {
+        const consent = window.LifeScribeConsent;
+        if (!consent) return;
+
+        this.removePanel();
+        consent.save({ ...consent.getConsent(), chat: true });
+        this.open();
+    }
+
+    sendEmail(form) {
+        const from = form.elements.email.value.trim();
+        const message = form.elements.message.value.trim();
+        if (!form.reportValidity()) return;
+
+        const subject = this.t('email_subject', 'Question from the LifeScribe website');
+        const body = `${message}\n\n— ${from}`;
+        window.location.href = `mailto:${this.contactEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        this.closePanel();
+    }
+
+    injectStyles() {
+        if (document.getElementById('lifescribe-chat-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'lifescribe-chat-styles';
+        style.textContent = `
+            .lifescribe-chat-launcher {
+                position: fixed;
+                right: 20px;
+                bottom: calc(20px + env(safe-area-inset-bottom, 0px));
+                z-index: 9000;
+                display: inline-flex;
+                align-items: center;
+                gap: 0.5rem;
+                min-height: 52px;
+                padding: 0 1.25rem;
+                border: none;
+                border-radius: 50px;
+                background: var(--ls-color-primary);
+                color: var(--ls-color-on-primary);
+                font-family: 'Inter', sans-serif;
+                font-size: 1rem;
+                font-weight: 600;
+                box-shadow: 0 6px 20px var(--ls-shadow-color);
+                cursor: pointer;
+            }
+            .lifescribe-chat-launcher[hidden] {
+                display: none;
+            }
+            .lifescribe-chat-launcher[aria-busy="true"] {
+                cursor: progress;
+                opacity: 0.8;
+            }
+            .lifescribe-chat-icon {
+                font-size: 1.25rem;
+            }
+            .lifescribe-chat-panel {
+                position: fixed;
+                right: 20px;
+                bottom: calc(84px + env(safe-area-inset-bottom, 0px));
+                z-index: 9001;
+                width: min(360px, calc(100% - 40px));
+                max-height: calc(100vh - 120px);
+                overflow-y: auto;
+                background: var(--ls-color-surface);
+                color: var(--ls-color-text);
+                border-top: 4px solid var(--ls-color-primary-text);
+                border-radius: 10px;
+                box-shadow: 0 8px 30px var(--ls-shadow-color);
+                padding: 1.25rem;
+                font-family: 'Inter', sans-serif;
+                font-size: 0.95rem;
+            }
+            .lifescribe-chat-title {
+                font-family: 'Playfair Display', serif;
+                font-weight: 400;
+                font-size: 1.35rem;
+                color: var(--ls-color-primary-text);
+                margin: 0 2rem 0.75rem 0;
+            }
+            .lifescribe-chat-text {
+                line-height: 1.5;
+                margin-bottom: 0.75rem;
+            }
+            .lifescribe-chat-text a {
+                color: var(--ls-color-primary-text);
+            }
+            .lifescribe-chat-close {
+                position: absolute;
+                top: 0.5rem;
+                right: 0.5rem;
+                width: 44px;
+                height: 44px;
+                border: none;
+                background: none;
+                font-size: 1.5rem;
+                cursor: pointer;
+            }
+            .lifescribe-chat-form {
+                display: flex;
+                flex-direction: column;
+                gap: 0.35rem;
+                margin-bottom: 0.75rem;
+            }
+            .lifescribe-chat-form label {
+                font-weight: 600;
+            }
+            .lifescribe-chat-form input,
+            .lifescribe-chat-form textarea {
+                font: inherit;
+                padding: 0.6rem 0.75rem;
+                border: 1px solid var(--ls-color-input-border);
+                border-radius: 8px;
+                margin-bottom: 0.5rem;
+            }
+            .lifescribe-chat-actions {
+                display: flex;
+                flex-wrap: wrap;
+                justify-content: flex-end;
+                gap: 0.75rem;
+            }
+            .lifescribe-chat-button {
+                min-height: 44px;
+                background: transparent;
+                color: var(--ls-color-primary-text);
+                border: 2px solid var(--ls-color-primary-text);
+                border-radius: 50px;
+                padding: 0.5rem 1.25rem;
+                font: inherit;
+                font-weight: 600;
+                cursor: pointer;
+            }
+            .lifescribe-chat-primary {
+                background: var(--ls-color-accent);
+                border-color: var(--ls-color-accent);
+                color: var(--ls-color-on-accent);
+            }
+            .lifescribe-chat-launcher:focus-visible,
+            .lifescribe-chat-button:focus-visible,
+            .lifescribe-chat-close:focus-visible,
+            .lifescribe-chat-form input:focus-visible,
+            .lifescribe-chat-form textarea:focus-visible {
+                outline: 3px solid var(--ls-color-focus);
+                outline-offset: 2px;
+            }
+            @media (max-width: 480px) {
+                .lifescribe-chat-label {
+                    position: absolute;
+                    width: 1px;
+                    height: 1px;
+                    overflow: hidden;
+                    clip: rect(0, 0, 0, 0);
+                    white-space: nowrap;
+                }
+                .lifescribe-chat-launcher {
+                    width: 52px;
+                    padding: 0;
+                    justify-content: center;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+window.LifeScribeChat = LifeScribeChat;
+window.lifescribeChat = new LifeScribeChat();
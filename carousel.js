@@ -0,0 +1,487 @@
+/**
+ * LifeScribe Carousel
+ * The "Sign of the Times" slideshow, built from a data file
+ * (`data-carousel-src`, see data/sign-of-the-times.json): each slide has an
+ * image, alt text, year and caption, translatable via `translations`.
+ *
+ * Slides drift continuously and loop by moving the slide that scrolls out
+ * of view to the other end of the track, so nothing is duplicated in the
+ * DOM. Motion pauses while the pointer or keyboard focus is inside, while
+ * the carousel is off-screen. It starts paused when the visitor prefers
+ * reduced motion or the loading policy (loading-policy.js) rules out
+ * animation on a slow connection or low-memory device; the pause/play
+ * button stops or starts it for good (WCAG 2.2.2). Previous/next
+ * buttons, arrow keys and swipes step one slide at a time. Slide images
+ * load as they approach the visible area.
+ */
+
+class LifeScribeCarousel {
+    constructor(options = {}) {
+        this.root = null;
+        this.slides = [];
+        this.speed = options.speed || 60; // px per second
+        this.glideDuration = options.glideDuration || 450;
+        this.swipeThreshold = options.swipeThreshold || 40;
+        this.i18n = window.lifescribeI18n;
+
+        this.offset = 0;
+        this.playing = true;
+        this.holds = new Set();
+        this.glide = null;
+        this.frame = null;
+        this.lastTime = null;
+        this.drag = null;
+        this.gap = 0;
+
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.reducedMotion = Boolean(this.motionQuery && this.motionQuery.matches);
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.root = document.querySelector('[data-carousel-src]');
+        if (!this.root) return;
+
+        let data;
+        try {
+            const response = await fetch(this.root.dataset.carouselSrc);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            data = (await response.json()).slides || [];
+            await this.i18n.ready;
+        } catch (error) {
+            console.warn('Carousel data unavailable:', error);
+            return;
+        }
+
+        if (this.root.dataset.carouselSpeed) {
+            this.speed = Number(this.root.dataset.carouselSpeed) || this.speed;
+        }
+
+        this.render(data);
+        this.measureGap();
+        this.bindEvents();
+        this.observeImages();
+
+        // Reduced motion and slow connections start paused; the play button still works
+        this.setPlaying(this.shouldAnimate());
+        console.log(`🎠 Carousel ready with ${this.slides.length} slides`);
+    }
+
+    t(key, fallback, params) {
+        return this.i18n.t(`carousel.${key}`, fallback, params);
+    }
+
+    render(data) {
+        this.root.innerHTML = `
+            <div class="carousel-viewport">
+                <ul class="carousel-track"></ul>
+            </div>
+            <div class="carousel-controls">
+                <button type="button" class="carousel-button" data-carousel-action="previous">
+                    <span aria-hidden="true">‹</span><span class="visually-hidden"></span>
+                </button>
+                <button type="button" class="carousel-button" data-carousel-action="toggle">
+                    <span aria-hidden="true"></span><span class="visually-hidden"></span>
+                </button>
+                <button type="button" class="carousel-button" data-carousel-action="next">
+                    <span aria-hidden="true">›</span><span class="visually-hidden"></span>
+                </button>
+            </div>
+            <p class="visually-hidden" aria-live="polite"></p>
+        `;
+
+        this.root.setAttribute('role', 'region');
+        this.root.setAttribute('aria-roledescription', 'carousel');
+
+        this.viewport = this.root.querySelector('.carousel-viewport');
+        this.track = this.root.querySelector('.carousel-track');
+        this.status = this.root.querySelector('[aria-live]');
+        this.buttons = {
+            previous: this.root.querySelector('[data-carousel-action="previous"]'),
+            toggle: this.root.querySelector('[data-carousel-action="toggle"]'),
+            next: this.root.querySelector('[data-carousel-action="next"]')
+        };
+
+        this.slides = data.map((source, index) => {
+            const element = document.createElement('li');
+            element.className = 'carousel-slide';
+            element.setAttribute('role', 'group');
+            element.setAttribute('aria-roledescription', 'slide');
+            element.innerHTML = `
+                <figure class="sign-image">
+                    <img class="sign-img" data-responsive-src="${lifescribeEscapeHTML(source.image)}"
+                        data-sizes="(max-width: 480px) 356px, (max-width: 768px) 415px, 462px" alt="" draggable="false">
+                    <figcaption class="sign-caption">
+                        <span class="sign-caption-year"></span>
+                        <span class="sign-caption-text"></span>
+                    </figcaption>
+                </figure>
+            `;
+            this.track.appendChild(element);
+
+            return {
+                source,
+                index,
+                element,
+                image: element.querySelector('img'),
+                year: element.querySelector('.sign-caption-year'),
+                caption: element.querySelector('.sign-caption-text')
+            };
+        });
+
+        this.translate();
+    }
+
+    /**
+     * Labels, captions and alt text in the current language
+     */
+    translate() {
+        const total = this.slides.length;
+        this.root.setAttribute('aria-label', this.t('label', 'Moments that shaped a generation'));
+        this.buttons.previous.lastElementChild.textContent = this.t('previous', 'Previous slide');
+        this.buttons.next.lastElementChild.textContent = this.t('next', 'Next slide');
+        this.updateToggle();
+
+        this.slides.forEach(slide => {
+            const text = this.i18n.localize(slide.source);
+            slide.element.setAttribute('aria-label', this.t('position', '{index} of {total}', { index: slide.index + 1, total }));
+            slide.image.alt = text.alt || '';
+            slide.year.textContent = text.year || '';
+            slide.caption.textContent = text.caption || '';
+        });
+    }
+
+    updateToggle() {
+        const [icon, label] = this.buttons.toggle.children;
+        icon.textContent = this.playing ? '❚❚' : '►';
+        label.textContent = this.playing
+            ? this.t('pause', 'Pause slideshow')
+            : this.t('play', 'Play slideshow');
+    }
+
+    bindEvents() {
+        this.root.addEventListener('click', (event) => {
+            const action = event.target.closest('[data-carousel-action]')?.dataset.carouselAction;
+            if (action === 'previous') this.previous();
+            if (action === 'next') this.next();
+            if (action === 'toggle') this.setPlaying(!this.playing);
+        });
+
+        this.root.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowLeft') {
+                event.preventDefault();
+                this.previous();
+            } else if (event.key === 'ArrowRight') {
+                event.preventDefault();
+                this.next();
+            }
+        });
+
+        // Hovering the slides or focusing a control holds the motion until the
+        // visitor leaves; the play button itself doesn't, or pressing it would
+        // seem to do nothing
+        this.viewport.addEventListener('mouseenter', () => this.hold('hover'));
+        this.viewport.addEventListener('mouseleave', () => this.release('hover'));
+        this.root.addEventListener('focusin', (event) => {
+            if (event.target === this.buttons.toggle) {
+                this.release('focus');
+            } else {
+                this.hold('focus');
+            }
+        });
+        this.root.addEventListener('focusout', (event) => {
+            if (!this.root.contains(event.relatedTarget)) this.release('focus');
+        });
+
+        this.viewport.addEventListener('pointerdown', (event) => this.startDrag(event));
+        this.viewport.addEventListener('pointermove', (event) => this.moveDrag(event));
+        this.viewport.addEventListener('pointerup', (event) => this.endDrag(event));
+        this.viewport.addEventListener('pointercancel', (event) => this.endDrag(event));
+
+        if ('IntersectionObserver' in window) {
+            new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.release('offscreen');
+                    } else {
+                        this.hold('offscreen');
+                    }
+                });
+            }).observe(this.root);
+        }
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.hold('hidden');
+            } else {
+                this.release('hidden');
+            }
+        });
+
+        if (this.motionQuery) {
+            const onChange = () => {
+                this.reducedMotion = this.motionQuery.matches;
+                if (this.reducedMotion) this.setPlaying(false);
+            };
+            if (typeof this.motionQuery.addEventListener === 'function') {
+                this.motionQuery.addEventListener('change', onChange);
+            } else {
+                this.motionQuery.addListener(onChange);
+            }
+        }
+
+        // Stop drifting (and pulling in slide images) when the connection gets worse
+        document.addEventListener('lifescribe:loading-policy-changed', (event) => {
+            if (!event.detail.animateSlider) this.setPlaying(false);
+        });
+
+        document.addEventListener('lifescribe:locale-changed', () => this.translate());
+        window.addEventListener('resize', () => {
+            this.measureGap();
+            this.normalize();
+        });
+    }
+
+    /**
+     * Whether the slideshow should start drifting on its own
+     */
+    shouldAnimate() {
+        const policy = window.lifescribeLoadingPolicy;
+        return !this.reducedMotion && (!policy || policy.get().animateSlider);
+    }
+
+    /**
+     * Lazy loading: the placeholder shows at once and each image loads when
+     * it comes within half a viewport of the visible area
+     */
+    observeImages() {
+        const images = window.lifescribeImages;
+        const load = (img) => {
+            if (images) {
+                images.load(img);
+            } else {
+                img.src = encodeURI(img.dataset.responsiveSrc);
+            }
+        };
+
+        this.slides.forEach(slide => {
+            if (images) images.observe(slide.image, { manual: true });
+        });
+
+        if (!('IntersectionObserver' in window)) {
+            this.slides.forEach(slide => load(slide.image));
+            return;
+        }
+
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    observer.unobserve(entry.target);
+                    load(entry.target);
+                }
+            });
+        }, { root: this.viewport, rootMargin: '0px 50%' });
+
+        this.slides.forEach(slide => observer.observe(slide.image));
+    }
+
+    /**
+     * Playback
+     */
+    setPlaying(playing) {
+        this.playing = playing;
+        this.updateToggle();
+        this.schedule();
+    }
+
+    hold(reason) {
+        this.holds.add(reason);
+    }
+
+    release(reason) {
+        this.holds.delete(reason);
+        this.schedule();
+    }
+
+    isDrifting() {
+        return this.playing && this.holds.size === 0 && !this.drag;
+    }
+
+    schedule() {
+        if (this.frame === null && (this.isDrifting() || this.glide)) {
+            this.lastTime = null;
+            this.frame = requestAnimationFrame(time => this.tick(time));
+        }
+    }
+
+    tick(time) {
+        this.frame = null;
+        const elapsed = this.lastTime === null ? 0 : Math.min(time - this.lastTime, 100);
+        this.lastTime = time;
+
+        if (this.glide) {
+            const glide = this.glide;
+            const progress = Math.min(1, (time - (glide.start ??= time)) / this.glideDuration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+            this.offset += glide.distance * (eased - glide.done);
+            glide.done = eased;
+            if (progress >= 1) this.glide = null;
+        } else if (this.isDrifting()) {
+            this.offset += this.speed * elapsed / 1000;
+        } else {
+            return;
+        }
+
+        this.normalize();
+        this.frame = requestAnimationFrame(next => this.tick(next));
+    }
+
+    /**
+     * Keep the offset within the first slide, moving slides between the
+     * ends of the track as they scroll out of view
+     */
+    normalize() {
+        if (!this.track || this.slides.length < 2) return;
+
+        let first = this.track.firstElementChild;
+        while (this.offset >= this.getStride(first) && this.getStride(first) > 0) {
+            this.offset -= this.getStride(first);
+            this.track.appendChild(first);
+            first = this.track.firstElementChild;
+        }
+
+        while (this.offset < 0) {
+            const last = this.track.lastElementChild;
+            if (!this.getStride(last)) break;
+            this.track.insertBefore(last, this.track.firstElementChild);
+            this.offset += this.getStride(last);
+        }
+
+        this.track.style.transform = `translateX(${-this.offset}px)`;
+    }
+
+    /**
+     * The gap between slides, read once (and on resize) rather than
+     * recalculating styles for every stride on every frame
+     */
+    measureGap() {
+        this.gap = parseFloat(getComputedStyle(this.track).columnGap) || 0;
+    }
+
+    getStride(slide) {
+        return slide.offsetWidth + this.gap;
+    }
+
+    /**
+     * Step so the next (or previous) slide lines up with the left edge.
+     * Steps queue up: each one starts from where the current glide ends.
+     */
+    next() {
+        const { slide, position } = this.locate();
+        let distance = this.getStride(slide) - position;
+        if (distance < 8) {
+            distance += this.getStride(slide.nextElementSibling || this.track.firstElementChild);
+        }
+        this.step(this.getRemainingGlide() + distance);
+    }
+
+    previous() {
+        const { slide, position } = this.locate();
+        const before = slide.previousElementSibling || this.track.lastElementChild;
+        const distance = position > 8 ? -position : -(position + this.getStride(before));
+        this.step(this.getRemainingGlide() + distance);
+    }
+
+    step(distance) {
+        if (this.reducedMotion) {
+            this.glide = null;
+            this.offset += distance;
+            this.normalize();
+        } else {
+            this.glide = { distance, done: 0, start: null };
+            this.schedule();
+        }
+
+        const slide = this.slides.find(candidate => candidate.element === this.locate().slide);
+        if (slide) {
+            const text = this.i18n.localize(slide.source);
+            this.status.textContent = this.t('status', '{index} of {total}: {year}, {caption}', {
+                index: slide.index + 1,
+                total: this.slides.length,
+                year: text.year,
+                caption: text.caption
+            });
+        }
+    }
+
+    getRemainingGlide() {
+        return this.glide ? this.glide.distance * (1 - this.glide.done) : 0;
+    }
+
+    /**
+     * The slide at the left edge once the current glide ends, and how far
+     * past its start the track will be
+     */
+    locate() {
+        let position = this.offset + this.getRemainingGlide();
+        let slide = this.track.firstElementChild;
+
+        while (position < -1) {
+            slide = slide.previousElementSibling || this.track.lastElementChild;
+            position += this.getStride(slide);
+        }
+        while (position >= this.getStride(slide) - 1) {
+            position -= this.getStride(slide);
+            slide = slide.nextElementSibling || this.track.firstElementChild;
+        }
+
+        return { slide, position };
+    }
+
+    /**
+     * Swipe (or drag with a mouse) to move; a flick steps one slide
+     */
+    startDrag(event) {
+        if (event.button !== 0) return;
+        this.drag = { id: event.pointerId, startX: event.clientX, lastX: event.clientX, moved: false };
+        this.glide = null;
+    }
+
+    moveDrag(event) {
+        if (!this.drag || event.pointerId !== this.drag.id) return;
+
+        const delta = event.clientX - this.drag.lastX;
+        this.drag.lastX = event.clientX;
+        if (!this.drag.moved && Math.abs(event.clientX - this.drag.startX) > 5) {
+            this.drag.moved = true;
+            this.viewport.setPointerCapture(event.pointerId);
+        }
+        if (this.drag.moved) {
+            this.offset -= delta;
+            this.normalize();
+        }
+    }
+
+    endDrag(event) {
+        if (!this.drag || event.pointerId !== this.drag.id) return;
+
+        const travelled = event.clientX - this.drag.startX;
+        this.drag = null;
+
+        if (travelled <= -this.swipeThreshold) {
+            this.next();
+        } else if (travelled >= this.swipeThreshold) {
+            this.previous();
+        } else {
+            this.schedule();
+        }
+    }
+}
+
+window.LifeScribeCarousel = LifeScribeCarousel;
+window.lifescribeCarousel = new LifeScribeCarousel();
@@ -0,0 +1,440 @@
+/**
+ * LifeScribe Consent Manager
+ * Cookie/consent banner and preferences dialog that gates analytics,
+ * marketing popups and the support chat widget until the visitor agrees.
+ * Honors Global Privacy Control and re-prompts when the policy changes.
+ */
+
+class LifeScribeConsentManager {
+    constructor() {
+        // Bump when the Cookie Policy changes so every visitor is asked again
+        this.policyVersion = '2025-06';
+        this.storageKey = 'lifescribe_consent';
+        this.policyUrl = 'LS Cookie Policy June 2025.pdf';
+
+        this.categories = [
+            {
+                id: 'necessary',
+                label: 'Strictly necessary',
+                description: 'Required for the site to work, such as remembering these choices. Always on.',
+                required: true
+            },
+            {
+                id: 'analytics',
+                label: 'Analytics',
+                description: 'Helps us understand how the site is used, including popup and button interactions.'
+            },
+            {
+                id: 'marketing',
+                label: 'Marketing',
+                description: 'Lets us show offers and sign-up popups and measure how they perform.'
+            },
+            {
+                id: 'chat',
+                label: 'Support chat',
+                description: 'Loads the Brevo Conversations chat widget so you can talk to our team.'
+            }
+        ];
+
+        this.gpcEnabled = navigator.globalPrivacyControl === true;
+        this.state = this.loadState();
+        this.listeners = [];
+        this.waiting = [];
+        this.banner = null;
+        this.preferencesDialog = null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.renderUI());
+        } else {
+            this.renderUI();
+        }
+    }
+
+    /**
+     * Whether the visitor has made a choice for the current policy version
+     */
+    hasDecision() {
+        return this.state !== null;
+    }
+
+    /**
+     * Check whether a category is currently granted
+     */
+    has(category) {
+        if (category === 'necessary') return true;
+
+        // Global Privacy Control is a standing opt-out of marketing
+        if (category === 'marketing' && this.gpcEnabled) return false;
+
+        return Boolean(this.state && this.state.categories[category]);
+    }
+
+    /**
+     * Run a callback once a category is granted (immediately if it already is)
+     */
+    whenGranted(category, callback) {
+        if (this.has(category)) {
+            callback();
+            return;
+        }
+
+        this.waiting.push({ category, callback });
+    }
+
+    /**
+     * Subscribe to consent changes. Returns an unsubscribe function.
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    /**
+     * Current consent as a plain object keyed by category
+     */
+    getConsent() {
+        return this.categories.reduce((consent, { id }) => {
+            consent[id] = this.has(id);
+            return consent;
+        }, {});
+    }
+
+    acceptAll() {
+        this.save(this.categories.reduce((choices, { id }) => ({ ...choices, [id]: true }), {}));
+    }
+
+    rejectAll() {
+        this.save({});
+    }
+
+    /**
+     * Persist a set of choices and notify everything waiting on them
+     */
+    save(choices) {
+        const categories = {};
+        this.categories.forEach(({ id, required }) => {
+            categories[id] = Boolean(required || choices[id]);
+        });
+
+        if (this.gpcEnabled) {
+            categories.marketing = false;
+        }
+
+        this.state = {
+            version: this.policyVersion,
+            categories,
+            gpc: this.gpcEnabled,
+            timestamp: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('Unable to persist consent choices:', error);
+        }
+
+        this.hideBanner();
+        this.closePreferences();
+        this.notify();
+    }
+
+    notify() {
+        const consent = this.getConsent();
+
+        const ready = this.waiting.filter(({ category }) => this.has(category));
+        this.waiting = this.waiting.filter(({ category }) => !this.has(category));
+        ready.forEach(({ callback }) => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error running consent callback:', error);
+            }
+        });
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(consent);
+            } catch (error) {
+                console.error('Error in consent listener:', error);
+            }
+        });
+
+        document.dispatchEvent(new CustomEvent('lifescribe:consent-changed', { detail: consent }));
+    }
+
+    /**
+     * Read stored consent; choices made under an older policy are ignored
+     */
+    loadState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && stored.version === this.policyVersion && stored.categories) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Unable to read consent choices:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Translated copy; the English here is the fallback when i18n.js is
+     * missing or the catalog has no entry
+     */
+    t(key, fallback) {
+        return window.lifescribeI18n ? window.lifescribeI18n.t(`consent.${key}`, fallback) : fallback;
+    }
+
+    /**
+     * UI
+     */
+    renderUI() {
+        this.injectStyles();
+
+        // Wait for the message catalog so the banner doesn't flash in English
+        const ready = window.lifescribeI18n ? window.lifescribeI18n.ready : Promise.resolve();
+        ready.then(() => {
+            if (!this.hasDecision()) {
+                this.showBanner();
+            }
+        });
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            if (this.banner) {
+                this.hideBanner();
+                this.showBanner();
+            }
+            // Rebuilt in the new language next time it opens
+            if (this.preferencesDialog && !this.preferencesDialog.hasAttribute('open')) {
+                this.preferencesDialog.remove();
+                this.preferencesDialog = null;
+            }
+        });
+
+        // Any element with data-consent-preferences reopens the dialog
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-consent-preferences]');
+            if (trigger) {
+                e.preventDefault();
+                this.openPreferences();
+            }
+        });
+    }
+
+    showBanner() {
+        if (this.banner) return;
+
+        this.banner = document.createElement('section');
+        this.banner.className = 'lifescribe-consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', this.t('banner_label', 'Cookie consent'));
+        this.banner.innerHTML = `
+            <p class="lifescribe-consent-text">
+                ${this.t('banner_text', 'We use cookies and similar technologies for analytics, offers and support chat. You can accept all, keep only what is strictly necessary, or choose for yourself.')}
+                <a href="${this.policyUrl}" target="_blank" rel="noopener noreferrer">${this.t('policy_link', 'Read our Cookie Policy')}</a>.
+            </p>
+            <div class="lifescribe-consent-actions">
+                <button type="button" class="lifescribe-consent-button" data-consent-action="preferences">${this.t('manage', 'Manage preferences')}</button>
+                <button type="button" class="lifescribe-consent-button" data-consent-action="reject">${this.t('reject', 'Reject non-essential')}</button>
+                <button type="button" class="lifescribe-consent-button lifescribe-consent-primary" data-consent-action="accept">${this.t('accept', 'Accept all')}</button>
+            </div>
+        `;
+
+        this.banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+            if (action === 'accept') this.acceptAll();
+            if (action === 'reject') this.rejectAll();
+            if (action === 'preferences') this.openPreferences();
+        });
+
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    /**
+     * Open the preferences dialog. Uses a native <dialog> so focus
+     * trapping and background inertness come from the browser.
+     */
+    openPreferences() {
+        if (!this.preferencesDialog) {
+            this.preferencesDialog = this.createPreferencesDialog();
+            document.body.appendChild(this.preferencesDialog);
+        }
+
+        const consent = this.getConsent();
+        this.preferencesDialog.querySelectorAll('input[name]').forEach(input => {
+            input.checked = consent[input.name];
+        });
+
+        if (typeof this.preferencesDialog.showModal === 'function') {
+            this.preferencesDialog.showModal();
+        } else {
+            this.preferencesDialog.setAttribute('open', '');
+        }
+    }
+
+    closePreferences() {
+        if (!this.preferencesDialog || !this.preferencesDialog.hasAttribute('open')) return;
+
+        if (typeof this.preferencesDialog.close === 'function') {
+            this.preferencesDialog.close();
+        } else {
+            this.preferencesDialog.removeAttribute('open');
+        }
+    }
+
+    createPreferencesDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'lifescribe-consent-dialog';
+        dialog.setAttribute('aria-labelledby', 'lifescribe-consent-title');
+
+        const options = this.categories.map(({ id, label, description, required }) => {
+            const lockedByGpc = id === 'marketing' && this.gpcEnabled;
+            const note = lockedByGpc
+                ? `<span class="lifescribe-consent-note">${this.t('gpc_note', 'Off because your browser sends a Global Privacy Control signal.')}</span>`
+                : '';
+
+            return `
+                <div class="lifescribe-consent-option">
+                    <input type="checkbox" id="lifescribe-consent-${id}" name="${id}"
+                        ${required || lockedByGpc ? 'disabled' : ''}
+                        aria-describedby="lifescribe-consent-${id}-description">
+                    <label for="lifescribe-consent-${id}">${this.t(`${id}.label`, label)}</label>
+                    <p id="lifescribe-consent-${id}-description" class="lifescribe-consent-description">${this.t(`${id}.description`, description)} ${note}</p>
+                </div>
+            `;
+        }).join('');
+
+        dialog.innerHTML = `
+            <form method="dialog" class="lifescribe-consent-form">
+                <h2 id="lifescribe-consent-title" class="lifescribe-consent-title">${this.t('preferences_title', 'Cookie preferences')}</h2>
+                ${options}
+                <div class="lifescribe-consent-actions">
+                    <button type="button" class="lifescribe-consent-button" data-consent-action="reject">${this.t('reject', 'Reject non-essential')}</button>
+                    <button type="submit" class="lifescribe-consent-button lifescribe-consent-primary">${this.t('save', 'Save choices')}</button>
+                </div>
+            </form>
+        `;
+
+        dialog.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const choices = {};
+            dialog.querySelectorAll('input[name]').forEach(input => {
+                choices[input.name] = input.checked;
+            });
+            this.save(choices);
+        });
+
+        dialog.querySelector('[data-consent-action="reject"]').addEventListener('click', () => this.rejectAll());
+
+        return dialog;
+    }
+
+    injectStyles() {
+        if (document.getElementById('lifescribe-consent-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'lifescribe-consent-styles';
+        style.textContent = `
+            .lifescribe-consent-banner {
+                position: fixed;
+                left: 20px;
+                right: 20px;
+                bottom: 20px;
+                max-width: 720px;
+                margin: 0 auto;
+                background: var(--ls-color-surface);
+                color: var(--ls-color-text);
+                border-top: 4px solid var(--ls-color-primary-text);
+                border-radius: 10px;
+                box-shadow: 0 8px 30px var(--ls-shadow-color);
+                padding: 1.25rem;
+                z-index: 10002;
+                font-family: 'Inter', sans-serif;
+                font-size: 0.95rem;
+            }
+            .lifescribe-consent-text a {
+                color: var(--ls-color-primary-text);
+            }
+            .lifescribe-consent-actions {
+                display: flex;
+                flex-wrap: wrap;
+                justify-content: flex-end;
+                gap: 0.75rem;
+                margin-top: 1rem;
+            }
+            .lifescribe-consent-button {
+                background: transparent;
+                color: var(--ls-color-primary-text);
+                border: 2px solid var(--ls-color-primary-text);
+                border-radius: 50px;
+                padding: 0.5rem 1.25rem;
+                font-weight: 600;
+            }
+            .lifescribe-consent-primary {
+                background: var(--ls-color-accent);
+                border-color: var(--ls-color-accent);
+                color: var(--ls-color-on-accent);
+            }
+            .lifescribe-consent-button:focus-visible {
+                outline: 3px solid var(--ls-color-focus);
+                outline-offset: 2px;
+            }
+            .lifescribe-consent-dialog {
+                max-width: 560px;
+                width: calc(100% - 40px);
+                border: none;
+                border-radius: 10px;
+                padding: 1.5rem;
+                background: var(--ls-color-surface);
+                color: var(--ls-color-text);
+                font-family: 'Inter', sans-serif;
+            }
+            .lifescribe-consent-dialog::backdrop {
+                background: rgba(0, 0, 0, 0.5);
+            }
+            .lifescribe-consent-title {
+                font-family: 'Playfair Display', serif;
+                font-weight: 400;
+                color: var(--ls-color-primary-text);
+                margin-bottom: 1rem;
+            }
+            .lifescribe-consent-option {
+                display: grid;
+                grid-template-columns: auto 1fr;
+                gap: 0.25rem 0.75rem;
+                align-items: center;
+                padding: 0.75rem 0;
+                border-bottom: 1px solid var(--ls-color-border);
+            }
+            .lifescribe-consent-option input {
+                width: 20px;
+                height: 20px;
+            }
+            .lifescribe-consent-option label {
+                font-weight: 600;
+            }
+            .lifescribe-consent-description {
+                grid-column: 2;
+                font-size: 0.875rem;
+                color: var(--ls-color-text-muted);
+            }
+            .lifescribe-consent-note {
+                display: block;
+                font-style: italic;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+window.LifeScribeConsentManager = LifeScribeConsentManager;
+window.LifeScribeConsent = new LifeScribeConsentManager();
@@ -0,0 +1,228 @@
+/**
+ * LifeScribe CTA Router
+ * Sends every call to action to app signup with the visitor's attribution.
+ *
+ * Markup: `data-cta="<placement>"` on a button or link, plus an optional
+ * `data-plan="free|plus|unlimited"` and `data-billing="monthly|annual"`.
+ * The signup URL carries the plan and billing period, the UTM parameters
+ * and external referrer captured when the visitor landed (kept for the
+ * browser tab's session), the popup session ID, the page language and the
+ * writing prompt they chose on the page (`lifescribe_prompt`, see
+ * timeline.js). Any email or discount code the visitor already got from a
+ * popup, and a draft started in the prompt sampler, go in the URL
+ * fragment, so they never reach server logs or Referer headers.
+ */
+
+class LifeScribeCTARouter {
+    constructor(options = {}) {
+        this.signupUrl = options.signupUrl || 'https://app.trylifescribe.com/signup';
+        this.storageKey = 'lifescribe_attribution';
+        this.utmParams = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+        this.attribution = this.captureAttribution();
+
+        document.addEventListener('click', (event) => this.handleClick(event));
+        document.addEventListener('lifescribe:locale-changed', () => this.updateLinks());
+        document.addEventListener('lifescribe:prompt-selected', () => this.updateLinks());
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.updateLinks());
+        } else {
+            this.updateLinks();
+        }
+    }
+
+    /**
+     * Remember UTM parameters and the external referrer from the landing page.
+     * A later visit with new UTM parameters replaces the stored values.
+     */
+    captureAttribution() {
+        const params = new URLSearchParams(window.location.search);
+        const stored = this.readStored();
+
+        const utm = {};
+        this.utmParams.forEach(name => {
+            const value = params.get(name);
+            if (value) utm[name] = value.slice(0, 200);
+        });
+
+        if (stored && !Object.keys(utm).length) {
+            return stored;
+        }
+
+        const attribution = {
+            ...utm,
+            referrer: this.getExternalReferrer() || (stored && stored.referrer) || '',
+            landing_page: window.location.pathname,
+            captured_at: Date.now()
+        };
+
+        try {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(attribution));
+        } catch (error) {
+            console.warn('Could not store attribution:', error);
+        }
+
+        return attribution;
+    }
+
+    readStored() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Referrer from another site; moving around this site is not a source
+     */
+    getExternalReferrer() {
+        try {
+            if (!document.referrer) return '';
+            const referrer = new URL(document.referrer);
+            return referrer.origin === window.location.origin ? '' : referrer.href;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Email captured by a popup during this session, if any
+     */
+    getCapturedEmail() {
+        if (window.lifescribePopups && window.lifescribePopups.capturedEmail) {
+            return window.lifescribePopups.capturedEmail;
+        }
+        try {
+            return sessionStorage.getItem('lifescribe_popup_email') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    getDiscountCode() {
+        try {
+            return sessionStorage.getItem('lifescribe_popup_discount') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Writing prompt chosen on the page: `{ id, text, source }`
+     */
+    getSelectedPrompt() {
+        try {
+            return JSON.parse(sessionStorage.getItem('lifescribe_prompt'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Draft from the prompt sampler: `{ prompt_id, text, saved_at }`
+     */
+    getDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem('lifescribe_draft'));
+            return draft && draft.text && draft.text.trim() ? draft : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getSessionId() {
+        if (window.lifescribePopups && window.lifescribePopups.sessionId) {
+            return window.lifescribePopups.sessionId;
+        }
+        try {
+            return sessionStorage.getItem('lifescribe_popup_session') || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Signup URL for a CTA element (or a plain `{ cta, plan }` object)
+     */
+    buildSignupUrl(cta = {}) {
+        const url = new URL(this.signupUrl);
+        const data = cta.dataset || cta;
+        // Personal details go in the fragment, which is never sent to a
+        // server or in a Referer header
+        const fragment = new URLSearchParams();
+        const set = (name, value, params = url.searchParams) => {
+            if (value) params.set(name, value);
+        };
+
+        set('plan', data.plan);
+        set('billing', data.billing);
+        set('cta', data.cta);
+        this.utmParams.forEach(name => set(name, this.attribution[name]));
+        set('referrer', this.attribution.referrer);
+        set('locale', window.lifescribeI18n && window.lifescribeI18n.locale);
+        set('session_id', this.getSessionId());
+        set('email', this.getCapturedEmail(), fragment);
+        set('discount_code', this.getDiscountCode(), fragment);
+
+        const prompt = this.getSelectedPrompt();
+        if (prompt) {
+            set('prompt_id', prompt.id);
+            set('prompt_source', prompt.source);
+            set('prompt', String(prompt.text || '').slice(0, 300));
+        }
+
+        const draft = this.getDraft();
+        if (draft) {
+            fragment.set('draft', draft.text);
+            fragment.set('draft_prompt_id', draft.prompt_id || '');
+        }
+
+        url.hash = fragment.toString();
+        return url.toString();
+    }
+
+    /**
+     * Give CTA links a real href so middle-click and "copy link" keep attribution
+     */
+    updateLinks() {
+        document.querySelectorAll('a[data-cta]').forEach(link => {
+            link.href = this.buildSignupUrl(link);
+        });
+    }
+
+    handleClick(event) {
+        const cta = event.target.closest && event.target.closest('[data-cta]');
+        if (!cta || cta.disabled) return;
+
+        const url = this.buildSignupUrl(cta);
+        this.track(cta);
+
+        if (cta.tagName === 'A') {
+            // Refresh in case a popup captured an email since the page loaded
+            cta.href = url;
+            return;
+        }
+
+        event.preventDefault();
+        window.open(url, '_blank', 'noopener');
+    }
+
+    /**
+     * One analytics event per CTA click
+     */
+    track(cta) {
+        if (!window.lifescribeAnalytics) return;
+
+        window.lifescribeAnalytics.track('cta_click', {
+            cta: cta.dataset.cta,
+            plan: cta.dataset.plan || 'none',
+            billing: cta.dataset.billing || 'none',
+            utm_source: this.attribution.utm_source || '(none)',
+            utm_campaign: this.attribution.utm_campaign || '(none)'
+        });
+    }
+}
+
+window.LifeScribeCTARouter = LifeScribeCTARouter;
+window.lifescribeCTA = new LifeScribeCTARouter();
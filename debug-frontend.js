@@ -0,0 +1,183 @@
+/**
+ * LifeScribe Debug Overlay
+ * Diagnostics panel for the popup system, enabled with `?ls_debug=1`
+ * (kept for the tab's session; `?ls_debug=0` turns it off again).
+ * Shows fetched campaigns, the visitor's targeting context, armed
+ * triggers, sent and queued events, queued submissions, the resolved
+ * API base and the popup performance metrics.
+ */
+
+class LifeScribeDebugOverlay {
+    constructor() {
+        this.panel = null;
+        this.body = null;
+        this.refreshTimer = null;
+        this.isCollapsed = false;
+
+        if (!this.isEnabled()) return;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.mount());
+        } else {
+            this.mount();
+        }
+    }
+
+    /**
+     * Read the URL flag and remember it for the rest of the session
+     */
+    isEnabled() {
+        const param = new URLSearchParams(window.location.search).get('ls_debug');
+
+        try {
+            if (param === '0') {
+                sessionStorage.removeItem('lifescribe_debug');
+            } else if (param !== null) {
+                sessionStorage.setItem('lifescribe_debug', '1');
+            }
+            return sessionStorage.getItem('lifescribe_debug') === '1';
+        } catch (error) {
+            return param !== null && param !== '0';
+        }
+    }
+
+    mount() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'lifescribe-debug-overlay';
+        this.panel.setAttribute('aria-label', 'LifeScribe popup diagnostics');
+        this.panel.style.cssText = `
+            position: fixed;
+            left: 10px;
+            bottom: 10px;
+            width: min(420px, calc(100vw - 20px));
+            max-height: 60vh;
+            overflow: auto;
+            background: rgba(20, 24, 28, 0.94);
+            color: #E8F1EF;
+            font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            border: 1px solid #1D7E6F;
+            border-radius: 8px;
+            z-index: 2147483647;
+            box-shadow: 0 6px 24px rgba(0, 0, 0, 0.4);
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; justify-content: space-between; padding: 6px 10px; background: #1D7E6F; position: sticky; top: 0;';
+
+        const title = document.createElement('strong');
+        title.textContent = '🐞 LifeScribe debug';
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.textContent = 'Hide';
+        toggle.setAttribute('aria-expanded', 'true');
+        toggle.style.cssText = 'min-height: 0; min-width: 0; background: transparent; color: inherit; border: 1px solid currentColor; border-radius: 4px; padding: 2px 8px; font: inherit;';
+        toggle.addEventListener('click', () => {
+            this.isCollapsed = !this.isCollapsed;
+            this.body.hidden = this.isCollapsed;
+            toggle.textContent = this.isCollapsed ? 'Show' : 'Hide';
+            toggle.setAttribute('aria-expanded', String(!this.isCollapsed));
+        });
+
+        header.append(title, toggle);
+
+        this.body = document.createElement('div');
+        this.body.style.cssText = 'padding: 8px 10px;';
+
+        this.panel.append(header, this.body);
+        document.body.appendChild(this.panel);
+
+        this.render();
+        this.refreshTimer = setInterval(() => {
+            if (!this.isCollapsed) this.render();
+        }, 1000);
+    }
+
+    /**
+     * Rebuild the panel from the popup system's current state
+     */
+    render() {
+        const popups = window.lifescribePopups;
+        this.body.textContent = '';
+
+        if (!popups) {
+            this.addSection('Popup system', ['Not loaded']);
+            return;
+        }
+
+        const transport = popups.eventTransport;
+        const metrics = popups.performanceMetrics;
+        const since = (time) => (time ? `+${time - metrics.loadStart} ms` : '—');
+
+        this.addSection('Environment', [
+            `API base: ${popups.apiBase}`,
+            `Session: ${popups.sessionId}`,
+            `Initialized: ${popups.isInitialized}`,
+            `Preview: ${popups.previewSource || 'off'}`,
+            `Suppressed: ${popups.isSuppressed() ? 'yes' : 'no'}`,
+            `Consent: ${window.LifeScribeConsent ? JSON.stringify(window.LifeScribeConsent.getConsent()) : 'no consent manager'}`
+        ]);
+
+        this.addSection(`Campaigns fetched (${popups.activePopupList.length})`, popups.activePopupList.map(popup => {
+            const config = popups.campaigns.get(popup.id);
+            if (!config) return `#${popup.id} — skipped (capped, not targeted or failed to load)`;
+            const variant = config.variant_id ? ` [variant ${config.variant_id}]` : '';
+            const targeting = config.targeting_match ? ` targeted by ${config.targeting_match}` : '';
+            return `#${config.id} ${config.name || ''}${variant} priority ${config.priority || 0}${targeting}`;
+        }));
+
+        const audience = popups.audience.getContext();
+        this.addSection('Audience', Object.entries(audience)
+            .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`));
+
+        const policy = window.lifescribeLoadingPolicy;
+        this.addSection('Loading policy', policy ? Object.entries(policy.get())
+            .map(([key, value]) => `${key}: ${value}`) : ['Not loaded']);
+
+        this.addSection(`Armed triggers (${popups.armedTriggers.size})`, Array.from(popups.armedTriggers.entries())
+            .map(([id, rule]) => `#${id} ${JSON.stringify(rule)}`));
+
+        this.addSection('Display', [
+            `Current: ${popups.currentPopup ? `#${popups.currentPopup.id}` : 'none'}`,
+            `Queued: ${popups.popupQueue.map(config => `#${config.id}${popups.isHeldOffline(config) ? ' (held offline)' : ''}`).join(', ') || 'none'}`,
+            `Shown this page: ${Array.from(popups.displayedPopups).map(id => `#${id}`).join(', ') || 'none'}`
+        ]);
+
+        this.addSection(`Events queued (${transport.queue.length})`, transport.queue
+            .map(event => `${event.event_type} #${event.popup_id} ${event.event_id}`));
+
+        this.addSection(`Events sent (last ${transport.sentEvents.length})`, transport.sentEvents.slice().reverse()
+            .map(event => `${event.via}: ${event.event_type} #${event.popup_id} ${event.event_id}`));
+
+        // Keys and popup ids only: queued submissions hold the visitor's email
+        const submissions = popups.submissionClient ? popups.submissionClient.queue : [];
+        this.addSection(`Submissions queued (${submissions.length})`, submissions
+            .map(entry => `#${entry.submission.popup_id} ${entry.submission.idempotency_key} (${Math.round((Date.now() - entry.queued_at) / 1000)} s)`));
+
+        this.addSection('Performance', [
+            `Load start: ${new Date(metrics.loadStart).toLocaleTimeString()}`,
+            `First display: ${since(metrics.firstDisplay)}`,
+            `First interaction: ${since(metrics.userInteraction)}`
+        ]);
+    }
+
+    addSection(title, lines) {
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        heading.style.cssText = 'color: #FDB913; font-weight: 700; margin-top: 6px;';
+
+        const list = document.createElement('ul');
+        list.style.cssText = 'list-style: none; margin: 2px 0 0; padding: 0 0 0 8px; word-break: break-all;';
+
+        (lines.length ? lines : ['—']).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+
+        this.body.append(heading, list);
+    }
+}
+
+window.LifeScribeDebugOverlay = LifeScribeDebugOverlay;
+window.lifescribeDebug = new LifeScribeDebugOverlay();
@@ -0,0 +1,21 @@
+/**
+ * LifeScribe HTML escaping
+ * The one escape function for text the page modules place in HTML
+ * strings from data files or translations. Loads in <head>, before any of
+ * them. popup-system.js keeps its own copy
+ * (`LifeScribeTemplateEngine.escapeHTML`) so it can be embedded on its own.
+ */
+
+function lifescribeEscapeHTML(value) {
+    return String(value).replace(/[&<>"'`=]/g, character => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;',
+        '=': '&#61;'
+    })[character]);
+}
+
+window.lifescribeEscapeHTML = lifescribeEscapeHTML;
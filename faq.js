@@ -0,0 +1,431 @@
+/**
+ * LifeScribe FAQ
+ * Renders the #faq section from data/faq.json as an accessible accordion
+ * with typo-tolerant search, per-question links (#faq-<id>) and a
+ * "Was this helpful?" signal sent through analytics.js.
+ * Also publishes the same questions as FAQPage structured data.
+ *
+ * Questions are translated with a `translations` object per entry and the
+ * accordion is rebuilt in the new language when the locale changes.
+ */
+
+class LifeScribeFAQ {
+    constructor(options = {}) {
+        this.container = null;
+        this.i18n = window.lifescribeI18n;
+        this.questions = [];
+        this.items = [];
+        this.searchLabel = null;
+        this.searchInput = null;
+        this.status = null;
+        this.emptyMessage = null;
+        this.searchTimer = null;
+        this.contactEmail = options.contactEmail || 'hello@trylifescribe.com';
+        this.feedbackKey = 'lifescribe_faq_feedback';
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.container = document.querySelector('[data-faq-src]');
+        if (!this.container) return;
+
+        try {
+            const response = await fetch(this.container.dataset.faqSrc);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            this.questions = (await response.json()).questions || [];
+            await this.i18n.ready;
+        } catch (error) {
+            console.error('Failed to load FAQ:', error);
+            this.container.innerHTML = `<p class="faq-answer">${this.t('load_error', 'Have a question? Email us at {email}.', { email: this.getContactLink() })}</p>`;
+            return;
+        }
+
+        this.renderSearch();
+        this.renderQuestions();
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            this.translateSearch();
+            this.renderQuestions();
+        });
+
+        window.addEventListener('hashchange', () => this.openFromHash());
+        // In-page links to a question are handled by the smooth-scroll handler,
+        // which keeps the hash from changing, so open the answer here too
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest && event.target.closest('a[href^="#faq-"]');
+            if (link) this.openById(link.getAttribute('href').slice(1));
+        });
+        this.openFromHash();
+
+        console.log(`❓ FAQ rendered with ${this.items.length} questions`);
+    }
+
+    t(key, fallback, params) {
+        return this.i18n.t(`faq.${key}`, fallback, params);
+    }
+
+    getContactLink() {
+        return `<a href="mailto:${this.contactEmail}">${this.contactEmail}</a>`;
+    }
+
+    /**
+     * (Re)build the accordion and structured data in the current language
+     */
+    renderQuestions() {
+        const openIds = this.items.filter(item => item.userOpened).map(item => item.id);
+        this.items.forEach(item => item.element.remove());
+
+        const questions = this.questions.map(question => this.i18n.localize(question));
+        this.items = questions.map((question, index) => this.renderItem(question, index));
+        this.items.forEach(item => {
+            if (openIds.includes(item.id)) {
+                this.setOpen(item, true);
+                item.userOpened = true;
+            }
+            this.container.appendChild(item.element);
+        });
+        this.injectStructuredData(questions);
+
+        if (this.searchInput && this.searchInput.value) {
+            this.search(this.searchInput.value);
+        }
+    }
+
+    renderSearch() {
+        const search = document.createElement('div');
+        search.className = 'faq-search';
+        search.innerHTML = `
+            <label for="faq-search-input" class="visually-hidden"></label>
+            <input type="search" id="faq-search-input" class="faq-search-input" autocomplete="off" aria-controls="faq-list">
+        `;
+
+        this.searchLabel = search.querySelector('label');
+        this.searchInput = search.querySelector('input');
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(this.searchInput.value), 150);
+        });
+
+        this.status = document.createElement('p');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('aria-live', 'polite');
+
+        this.emptyMessage = document.createElement('p');
+        this.emptyMessage.className = 'faq-empty';
+        this.emptyMessage.hidden = true;
+
+        this.container.id = this.container.id || 'faq-list';
+        this.container.before(search, this.status);
+        this.container.after(this.emptyMessage);
+        this.translateSearch();
+    }
+
+    translateSearch() {
+        this.searchLabel.textContent = this.t('search_label', 'Search frequently asked questions');
+        this.searchInput.placeholder = this.t('search_placeholder', 'Search questions…');
+        this.emptyMessage.innerHTML = this.t('empty', "No matching questions. Ask us at {email} and we'll help.", { email: this.getContactLink() });
+    }
+
+    renderItem(data, index) {
+        const escape = lifescribeEscapeHTML;
+        const id = `faq-${data.id || index}`;
+
+        const element = document.createElement('div');
+        element.className = 'faq-item';
+        element.id = id;
+        element.innerHTML = `
+            <h3 class="faq-question">
+                <button type="button" class="faq-toggle" id="${id}-question" aria-expanded="false" aria-controls="${id}-answer">
+                    <span class="faq-question-text">${escape(data.question)}</span>
+                    <span class="faq-icon" aria-hidden="true"></span>
+                </button>
+            </h3>
+            <div class="faq-panel" id="${id}-answer" role="region" aria-labelledby="${id}-question" hidden>
+                <p class="faq-answer">${escape(data.answer)}</p>
+                <div class="faq-feedback">
+                    <span class="faq-feedback-label">${escape(this.t('helpful', 'Was this helpful?'))}</span>
+                    <button type="button" class="faq-feedback-button" data-helpful="yes">${escape(this.t('yes', 'Yes'))}</button>
+                    <button type="button" class="faq-feedback-button" data-helpful="no">${escape(this.t('no', 'No'))}</button>
+                    <a href="#${id}" class="faq-permalink">${escape(this.t('permalink', 'Link to this answer'))}</a>
+                </div>
+            </div>
+            <hr class="faq-divider">
+        `;
+
+        const item = {
+            data,
+            id,
+            index,
+            element,
+            button: element.querySelector('.faq-toggle'),
+            panel: element.querySelector('.faq-panel'),
+            questionText: element.querySelector('.faq-question-text'),
+            answerText: element.querySelector('.faq-answer'),
+            feedback: element.querySelector('.faq-feedback'),
+            userOpened: false
+        };
+
+        item.button.addEventListener('click', () => {
+            const open = item.button.getAttribute('aria-expanded') !== 'true';
+            this.setOpen(item, open);
+            item.userOpened = open;
+            if (open) {
+                // Keep the URL shareable without jumping the page
+                history.replaceState(history.state, '', `#${id}`);
+            }
+        });
+
+        item.feedback.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-helpful]');
+            if (button) this.recordFeedback(item, button.dataset.helpful === 'yes');
+        });
+
+        if (this.getFeedback()[item.data.id] !== undefined) {
+            this.showFeedbackThanks(item, this.getFeedback()[item.data.id]);
+        }
+
+        return item;
+    }
+
+    setOpen(item, open) {
+        item.button.setAttribute('aria-expanded', String(open));
+        item.panel.hidden = !open;
+        item.element.classList.toggle('open', open);
+    }
+
+    openFromHash() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        if (id.startsWith('faq-')) this.openById(id);
+    }
+
+    /**
+     * Open a question by its element ID and bring it into view
+     */
+    openById(id) {
+        const item = this.items.find(candidate => candidate.id === id);
+        if (!item) return;
+
+        if (this.searchInput && this.searchInput.value) {
+            this.searchInput.value = '';
+            this.search('');
+        }
+
+        this.setOpen(item, true);
+        item.userOpened = true;
+        item.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        item.button.focus({ preventScroll: true });
+    }
+
+    /**
+     * Filter, rank and highlight questions. Every word of the query must
+     * match a question, its answer or its keywords; one typo is forgiven
+     * in words of four letters or more.
+     */
+    search(query) {
+        const tokens = LifeScribeFAQ.normalize(query).split(/\s+/).filter(Boolean);
+
+        if (!tokens.length) {
+            this.items.forEach(item => {
+                item.element.hidden = false;
+                item.questionText.textContent = item.data.question;
+                item.answerText.textContent = item.data.answer;
+                this.setOpen(item, item.userOpened);
+                this.container.appendChild(item.element);
+            });
+            this.emptyMessage.hidden = true;
+            this.status.textContent = '';
+            return;
+        }
+
+        const results = this.items.map(item => ({ item, ...this.scoreItem(item, tokens) }));
+        const matches = results.filter(result => result.score > 0).sort((a, b) => b.score - a.score || a.item.index - b.item.index);
+
+        results.forEach(({ item, score, questionRanges, answerRanges }) => {
+            item.element.hidden = score === 0;
+            item.questionText.innerHTML = LifeScribeFAQ.highlight(item.data.question, questionRanges);
+            item.answerText.innerHTML = LifeScribeFAQ.highlight(item.data.answer, answerRanges);
+            // Show answers while searching so highlighted matches are visible
+            this.setOpen(item, score > 0);
+        });
+        matches.forEach(({ item }) => this.container.appendChild(item.element));
+
+        this.emptyMessage.hidden = matches.length > 0;
+        this.status.textContent = this.t('results', {
+            one: '{count} question matches',
+            other: '{count} questions match'
+        }, { count: matches.length });
+    }
+
+    scoreItem(item, tokens) {
+        const keywords = (item.data.keywords || []).join(' ');
+        const questionRanges = [];
+        const answerRanges = [];
+        let score = 0;
+
+        for (const token of tokens) {
+            const inQuestion = LifeScribeFAQ.matchToken(token, item.data.question);
+            const inKeywords = LifeScribeFAQ.matchToken(token, keywords);
+            const inAnswer = LifeScribeFAQ.matchToken(token, item.data.answer);
+
+            const tokenScore = inQuestion.score * 3 + inKeywords.score * 2 + inAnswer.score;
+            if (!tokenScore) {
+                return { score: 0, questionRanges: [], answerRanges: [] };
+            }
+
+            score += tokenScore;
+            questionRanges.push(...inQuestion.ranges);
+            answerRanges.push(...inAnswer.ranges);
+        }
+
+        return { score, questionRanges, answerRanges };
+    }
+
+    recordFeedback(item, helpful) {
+        const feedback = this.getFeedback();
+        feedback[item.data.id] = helpful;
+        try {
+            sessionStorage.setItem(this.feedbackKey, JSON.stringify(feedback));
+        } catch (error) {
+            // Feedback still gets sent; it just may be asked again
+        }
+
+        if (window.lifescribeAnalytics) {
+            window.lifescribeAnalytics.track('faq_feedback', {
+                faq_id: item.data.id,
+                helpful
+            });
+        }
+
+        this.showFeedbackThanks(item, helpful);
+    }
+
+    showFeedbackThanks(item, helpful) {
+        const permalink = item.feedback.querySelector('.faq-permalink').outerHTML;
+        const message = helpful
+            ? lifescribeEscapeHTML(this.t('thanks', 'Thanks for letting us know!'))
+            : this.t('sorry', "Sorry about that. Email {email} and we'll help.", { email: this.getContactLink() });
+        item.feedback.innerHTML = `<span class="faq-feedback-label" role="status">${message}</span>${permalink}`;
+    }
+
+    getFeedback() {
+        try {
+            return JSON.parse(sessionStorage.getItem(this.feedbackKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * FAQPage JSON-LD built from the same data as the accordion
+     */
+    injectStructuredData(questions) {
+        const script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'faq-structured-data';
+        script.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            inLanguage: this.i18n.locale,
+            mainEntity: questions.map(question => ({
+                '@type': 'Question',
+                name: question.question,
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: question.answer
+                }
+            }))
+        });
+
+        document.getElementById('faq-structured-data')?.remove();
+        document.head.appendChild(script);
+    }
+
+    static normalize(text) {
+        return String(text).toLowerCase();
+    }
+
+    /**
+     * Find a query word in text. Substring matches score higher than
+     * one-typo matches; ranges are character offsets for highlighting.
+     */
+    static matchToken(token, text) {
+        const lower = LifeScribeFAQ.normalize(text);
+        const ranges = [];
+        let score = 0;
+
+        const wordPattern = /[\p{L}\p{N}']+/gu;
+        let match;
+        while ((match = wordPattern.exec(lower)) !== null) {
+            const word = match[0];
+            const position = word.indexOf(token);
+
+            if (position !== -1) {
+                ranges.push([match.index + position, match.index + position + token.length]);
+                score = Math.max(score, position === 0 ? 2 : 1);
+            } else if (token.length >= 4 && (
+                LifeScribeFAQ.editDistance(token, word) <= 1
+                || LifeScribeFAQ.editDistance(token, word.slice(0, token.length)) <= 1
+            )) {
+                ranges.push([match.index, match.index + word.length]);
+                score = Math.max(score, 0.5);
+            }
+        }
+
+        return { score, ranges };
+    }
+
+    static editDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 1) return 2;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Escape text and wrap the given character ranges in <mark>
+     */
+    static highlight(text, ranges) {
+        const escape = lifescribeEscapeHTML;
+        if (!ranges.length) return escape(text);
+
+        const merged = ranges
+            .slice()
+            .sort((a, b) => a[0] - b[0])
+            .reduce((result, range) => {
+                const last = result[result.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    result.push([...range]);
+                }
+                return result;
+            }, []);
+
+        let html = '';
+        let cursor = 0;
+        merged.forEach(([start, end]) => {
+            html += escape(text.slice(cursor, start)) + `<mark>${escape(text.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        return html + escape(text.slice(cursor));
+    }
+}
+
+window.LifeScribeFAQ = LifeScribeFAQ;
+window.lifescribeFAQ = new LifeScribeFAQ();
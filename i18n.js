@@ -0,0 +1,271 @@
+/**
+ * LifeScribe Internationalization
+ * Message catalogs, locale detection, pluralization, Intl formatting and
+ * text direction for the landing page and its scripts.
+ *
+ * English is the source language: it lives in the HTML and in the fallback
+ * strings passed to `t()`, so only other languages need a catalog
+ * (`locales/<locale>.json`, a flat map of key to message).
+ *
+ * - Page copy: `data-i18n="key"` (text), `data-i18n-html="key"` (markup)
+ *   and `data-i18n-attr="aria-label:key; alt:other.key"` (attributes).
+ * - Scripts: `lifescribeI18n.t('key', 'English {name}', { name })`.
+ *   A message may be an object of plural forms (`one`, `other`, ...)
+ *   chosen by `params.count`.
+ * - Locale: `?lang=es`, then the visitor's saved choice, then the
+ *   browser's languages, then English. `<select data-locale-switcher>`
+ *   elements become language switchers.
+ *
+ * Changing locale dispatches `lifescribe:locale-changed` on document.
+ */
+
+class LifeScribeI18n {
+    constructor(options = {}) {
+        this.defaultLocale = 'en';
+        this.locales = options.locales || ['en', 'es', 'fr'];
+        this.catalogPath = options.catalogPath || 'locales';
+        this.storageKey = 'lifescribe_locale';
+        this.rtlLanguages = ['ar', 'fa', 'he', 'ps', 'ur', 'yi'];
+        this.messages = {};
+        this.sources = new WeakMap();
+        this.pluralRules = null;
+
+        this.locale = this.detectLocale();
+        this.applyDocumentLocale();
+        this.ready = this.loadCatalog(this.locale);
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.ready.then(() => this.translatePage()));
+        } else {
+            this.ready.then(() => this.translatePage());
+        }
+    }
+
+    /**
+     * URL parameter, then saved preference, then browser languages
+     */
+    detectLocale() {
+        const fromUrl = this.matchLocale(new URLSearchParams(window.location.search).get('lang'));
+        if (fromUrl) return fromUrl;
+
+        try {
+            const stored = this.matchLocale(localStorage.getItem(this.storageKey));
+            if (stored) return stored;
+        } catch (error) {
+            // Storage blocked; fall through to the browser languages
+        }
+
+        const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        for (const tag of preferred) {
+            const match = this.matchLocale(tag);
+            if (match) return match;
+        }
+
+        return this.defaultLocale;
+    }
+
+    /**
+     * Supported locale for a language tag: exact match, then base language
+     */
+    matchLocale(tag) {
+        if (!tag) return null;
+
+        const normalized = String(tag).replace('_', '-').toLowerCase();
+        const exact = this.locales.find(locale => locale.toLowerCase() === normalized);
+        if (exact) return exact;
+
+        const language = normalized.split('-')[0];
+        return this.locales.find(locale => locale.toLowerCase() === language) || null;
+    }
+
+    async loadCatalog(locale) {
+        if (locale === this.defaultLocale) {
+            this.messages = {};
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.catalogPath}/${locale}.json`);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            this.messages = await response.json();
+        } catch (error) {
+            console.warn(`Message catalog for "${locale}" unavailable, using English:`, error);
+            this.messages = {};
+        }
+    }
+
+    /**
+     * Switch language, remember the choice and re-translate the page
+     */
+    async setLocale(locale) {
+        const match = this.matchLocale(locale);
+        if (!match) return;
+
+        try {
+            localStorage.setItem(this.storageKey, match);
+        } catch (error) {
+            console.warn('Could not save language preference:', error);
+        }
+
+        // A ?lang= parameter would override the saved choice on reload
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('lang')) {
+            url.searchParams.delete('lang');
+            history.replaceState(history.state, '', url);
+        }
+
+        if (match === this.locale) return;
+
+        this.locale = match;
+        this.pluralRules = null;
+        this.ready = this.loadCatalog(match);
+        await this.ready;
+
+        this.applyDocumentLocale();
+        this.translatePage();
+        document.dispatchEvent(new CustomEvent('lifescribe:locale-changed', { detail: { locale: match } }));
+    }
+
+    /**
+     * Translate a key. Missing keys fall back to the English `fallback`.
+     */
+    t(key, fallback = key, params = {}) {
+        let message = Object.prototype.hasOwnProperty.call(this.messages, key) ? this.messages[key] : fallback;
+
+        if (message && typeof message === 'object') {
+            const forms = message;
+            const category = this.getPluralRules().select(Number(params.count) || 0);
+            message = forms[category] !== undefined ? forms[category] : forms.other;
+        }
+
+        return LifeScribeI18n.interpolate(String(message), params, this);
+    }
+
+    getPluralRules() {
+        if (!this.pluralRules) {
+            this.pluralRules = new Intl.PluralRules(this.locale);
+        }
+        return this.pluralRules;
+    }
+
+    static interpolate(message, params = {}, i18n = null) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' && i18n ? i18n.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Merge an entry's `translations[<locale>]` over its English fields
+     * (used by data files such as plans.json and faq.json)
+     */
+    localize(entry) {
+        if (!entry || !entry.translations) return entry;
+
+        const language = this.locale.split('-')[0];
+        const translation = entry.translations[this.locale] || entry.translations[language];
+        return translation ? { ...entry, ...translation } : entry;
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatCurrency(amount, currency, options = {}) {
+        return new Intl.NumberFormat(this.locale, { style: 'currency', currency, ...options }).format(amount);
+    }
+
+    formatDate(date, options = { dateStyle: 'long' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(date instanceof Date ? date : new Date(date));
+    }
+
+    isRTL(locale = this.locale) {
+        try {
+            const info = new Intl.Locale(locale);
+            const textInfo = typeof info.getTextInfo === 'function' ? info.getTextInfo() : info.textInfo;
+            if (textInfo && textInfo.direction) return textInfo.direction === 'rtl';
+        } catch (error) {
+            // Older browsers: use the language list below
+        }
+        return this.rtlLanguages.includes(locale.split('-')[0]);
+    }
+
+    applyDocumentLocale() {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.isRTL() ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Apply the catalog to every annotated element under `root`.
+     * The original English is kept so switching back restores it.
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const source = this.getSource(element, 'text', () => element.textContent.trim());
+            element.textContent = this.t(element.dataset.i18n, source);
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            const source = this.getSource(element, 'html', () => element.innerHTML.trim());
+            element.innerHTML = this.t(element.dataset.i18nHtml, source);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part && part.trim());
+                if (!attribute || !key) return;
+                const source = this.getSource(element, `attr:${attribute}`, () => element.getAttribute(attribute) || '');
+                element.setAttribute(attribute, this.t(key, source));
+            });
+        });
+
+        this.renderSwitchers(root);
+    }
+
+    getSource(element, slot, read) {
+        let sources = this.sources.get(element);
+        if (!sources) {
+            sources = {};
+            this.sources.set(element, sources);
+        }
+        if (!(slot in sources)) {
+            sources[slot] = read();
+        }
+        return sources[slot];
+    }
+
+    /**
+     * Fill `<select data-locale-switcher>` with each language's own name
+     */
+    renderSwitchers(root = document) {
+        root.querySelectorAll('select[data-locale-switcher]').forEach(select => {
+            if (!select.dataset.localeSwitcherReady) {
+                select.dataset.localeSwitcherReady = 'true';
+                select.addEventListener('change', () => this.setLocale(select.value));
+            }
+
+            select.innerHTML = '';
+            this.locales.forEach(locale => {
+                const option = document.createElement('option');
+                option.value = locale;
+                option.lang = locale;
+                option.textContent = this.getLanguageName(locale);
+                option.selected = locale === this.locale;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    getLanguageName(locale) {
+        try {
+            const name = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+            return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+        } catch (error) {
+            return locale;
+        }
+    }
+}
+
+window.LifeScribeI18n = LifeScribeI18n;
+window.lifescribeI18n = new LifeScribeI18n();
@@ -0,0 +1,110 @@
+/**
+ * LifeScribe Loading Policy
+ * Decides how much the page downloads and animates, from the connection
+ * (`navigator.connection`: effectiveType, saveData, downlink), the
+ * device's memory and the visitor's reduced-motion and reduced-data
+ * preferences. Other modules ask `get()` instead of sniffing for
+ * themselves:
+ *
+ * - `preload`: warm photos and icons on the first interaction
+ * - `imageQuality`: 'high', 'standard' or 'low'; see `getPixelRatio()`
+ * - `animateSlider`: start the slideshow drifting
+ * - `deferThirdParty`: load third-party scripts (support chat) only when
+ *   the visitor asks for them, not on hover
+ * - `online`
+ *
+ * Data saver, prefers-reduced-data and 2G get the lightest page; 3G, a
+ * downlink under 1.5 Mbps or 2 GB of memory or less skip preloading and
+ * get standard quality. Browsers without the Network Information API
+ * (Safari, Firefox) are treated as fast unless a preference says
+ * otherwise.
+ *
+ * The policy is re-evaluated when the connection, online state or those
+ * preferences change; `lifescribe:loading-policy-changed` is dispatched on
+ * document with the new decisions when any of them changes.
+ */
+
+class LifeScribeLoadingPolicy {
+    constructor(options = {}) {
+        this.slowDownlink = options.slowDownlink || 1.5; // Mbps
+        this.lowMemory = options.lowMemory || 2; // GB
+        this.pixelRatioCaps = { high: Infinity, standard: 1.5, low: 1 };
+
+        this.connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+        this.motionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+        this.dataQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-data: reduce)') : null;
+        this.decisions = this.evaluate();
+
+        const update = () => this.update();
+        if (this.connection && this.connection.addEventListener) {
+            this.connection.addEventListener('change', update);
+        }
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        [this.motionQuery, this.dataQuery].forEach(query => {
+            if (query && query.addEventListener) query.addEventListener('change', update);
+        });
+    }
+
+    /**
+     * What the browser tells us about the connection, device and preferences
+     */
+    getSignals() {
+        const connection = this.connection || {};
+
+        return {
+            online: navigator.onLine !== false,
+            effectiveType: connection.effectiveType || null,
+            saveData: Boolean(connection.saveData),
+            downlink: typeof connection.downlink === 'number' ? connection.downlink : null,
+            deviceMemory: navigator.deviceMemory || null,
+            reducedMotion: Boolean(this.motionQuery && this.motionQuery.matches),
+            reducedData: Boolean(this.dataQuery && this.dataQuery.matches)
+        };
+    }
+
+    evaluate(signals = this.getSignals()) {
+        const saveData = signals.saveData || signals.reducedData;
+        const slowNetwork = ['slow-2g', '2g'].includes(signals.effectiveType);
+        // Offline browsers may report a downlink of 0
+        const modestNetwork = signals.effectiveType === '3g' ||
+            (signals.downlink !== null && signals.downlink > 0 && signals.downlink < this.slowDownlink);
+        const lowMemory = signals.deviceMemory !== null && signals.deviceMemory <= this.lowMemory;
+
+        const constrained = saveData || slowNetwork;
+        const limited = constrained || modestNetwork || lowMemory;
+
+        return {
+            preload: signals.online && !limited,
+            imageQuality: constrained ? 'low' : limited ? 'standard' : 'high',
+            animateSlider: !signals.reducedMotion && !constrained && !lowMemory,
+            deferThirdParty: !signals.online || limited,
+            online: signals.online
+        };
+    }
+
+    get() {
+        return { ...this.decisions };
+    }
+
+    /**
+     * Device pixel ratio to size images for, capped by the quality tier
+     */
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio || 1, this.pixelRatioCaps[this.decisions.imageQuality]);
+    }
+
+    update() {
+        const decisions = this.evaluate();
+        const changed = Object.keys(decisions).some(key => decisions[key] !== this.decisions[key]);
+        if (!changed) return;
+
+        this.decisions = decisions;
+        document.dispatchEvent(new CustomEvent('lifescribe:loading-policy-changed', {
+            detail: this.get()
+        }));
+    }
+}
+
+window.LifeScribeLoadingPolicy = LifeScribeLoadingPolicy;
+window.lifescribeLoadingPolicy = new LifeScribeLoadingPolicy();
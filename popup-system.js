@@ -4,14 +4,1862 @@
  * Mobile-optimized with Core Web Vitals performance considerations
  */
 
+/**
+ * Translate through the page's message catalog (i18n.js) when it is
+ * loaded; otherwise use the English fallback.
+ */
+function lifescribeTranslate(key, fallback, params = {}) {
+    if (window.lifescribeI18n) {
+        return window.lifescribeI18n.t(key, fallback, params);
+    }
+    if (fallback && typeof fallback === 'object') {
+        fallback = params.count === 1 ? fallback.one : fallback.other;
+    }
+    return String(fallback).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Active locale for API requests and popup markup
+ */
+function lifescribeLocale() {
+    return window.lifescribeI18n ? window.lifescribeI18n.locale : (document.documentElement.lang || 'en');
+}
+
+/**
+ * The <script> tag that loaded this file, read for data-* configuration
+ */
+const lifescribePopupScript = document.currentScript;
+
+/**
+ * Events the popup system emits to `on()` listeners and, prefixed with
+ * `lifescribe:popup-`, as DOM CustomEvents on document
+ */
+const LIFESCRIBE_POPUP_EVENTS = ['ready', 'show', 'close', 'submit', 'error', 'trigger-armed'];
+
+/**
+ * Buffered analytics transport for popup tracking events.
+ * Events are queued in localStorage, sent in batches on a timer and
+ * beaconed when the page is hidden so unload-time events are not lost.
+ */
+class LifeScribeEventTransport {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.flushInterval = options.flushInterval || 5000;
+        this.maxBatchSize = options.maxBatchSize || 20;
+        this.maxQueueSize = options.maxQueueSize || 200;
+        this.storageKey = options.storageKey || 'lifescribe_popup_event_queue';
+        this.dryRun = Boolean(options.dryRun);
+        this.sentEvents = [];
+        this.queue = this.dryRun ? [] : this.loadQueue();
+        this.isFlushing = false;
+        this.flushTimer = null;
+
+        // Flush whenever the page is backgrounded or unloaded
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flushWithBeacon();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flushWithBeacon());
+
+        // Retry anything left over from an offline period or a previous page
+        window.addEventListener('online', () => this.flush());
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Add an event to the buffer. Each event gets a unique ID so the
+     * backend can drop duplicates from retries and beacons.
+     */
+    enqueue(eventData) {
+        const event = {
+            event_id: this.generateEventId(),
+            timestamp: Date.now(),
+            ...eventData
+        };
+
+        // Preview mode: record the event for the debug overlay, never send it
+        if (this.dryRun) {
+            console.log('🧪 Popup event (not sent):', event);
+            this.recordSent([event], 'dry-run');
+            return;
+        }
+
+        this.queue.push(event);
+
+        // Drop the oldest events if we have been offline for a long time
+        if (this.queue.length > this.maxQueueSize) {
+            this.queue.splice(0, this.queue.length - this.maxQueueSize);
+        }
+
+        this.saveQueue();
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.flushInterval);
+    }
+
+    /**
+     * Send queued events with fetch, one batch at a time
+     */
+    async flush() {
+        if (this.isFlushing || this.queue.length === 0 || !navigator.onLine) return;
+
+        // Events stay queued (and persisted) until the batch is acknowledged;
+        // a beacon racing this request may resend them, which event_id dedupes
+        this.isFlushing = true;
+        const batch = this.queue.slice(0, this.maxBatchSize);
+
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ events: batch }),
+                keepalive: true
+            });
+
+            if (!response.ok) {
+                throw new Error(`Tracking batch rejected with status ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('Error sending tracking batch, will retry:', error);
+            this.isFlushing = false;
+            return;
+        }
+
+        this.recordSent(batch, 'fetch');
+
+        const sentIds = new Set(batch.map(event => event.event_id));
+        this.queue = this.queue.filter(event => !sentIds.has(event.event_id));
+        this.saveQueue();
+
+        this.isFlushing = false;
+        if (this.queue.length > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Hand everything left to sendBeacon, which survives page unload.
+     * A text/plain body keeps the request CORS-simple (no preflight).
+     */
+    flushWithBeacon() {
+        if (this.queue.length === 0 || !navigator.onLine) return;
+
+        if (!navigator.sendBeacon) {
+            this.flush();
+            return;
+        }
+
+        while (this.queue.length > 0) {
+            const batch = this.queue.slice(0, this.maxBatchSize);
+            const body = new Blob([JSON.stringify({ events: batch })], { type: 'text/plain;charset=UTF-8' });
+
+            if (!navigator.sendBeacon(this.endpoint, body)) {
+                break;
+            }
+            this.recordSent(batch, 'beacon');
+            this.queue.splice(0, batch.length);
+        }
+
+        this.saveQueue();
+    }
+
+    /**
+     * Keep a short in-memory log of delivered events for diagnostics
+     */
+    recordSent(events, via) {
+        events.forEach(event => this.sentEvents.push({ ...event, via }));
+        if (this.sentEvents.length > 50) {
+            this.sentEvents.splice(0, this.sentEvents.length - 50);
+        }
+    }
+
+    /**
+     * Drop every queued event, e.g. when analytics consent is withdrawn
+     */
+    clear() {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    loadQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        if (this.dryRun) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+        } catch (error) {
+            console.warn('Unable to persist tracking queue:', error);
+        }
+    }
+
+    generateEventId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'evt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+/**
+ * Results /api/popup/submit can report besides a generic error, in
+ * `status` (or `code`) of the response body
+ */
+const LIFESCRIBE_SUBMISSION_OUTCOMES = [
+    'success',
+    'already_subscribed',
+    'rate_limited',
+    'invalid_domain',
+    'double_opt_in_pending'
+];
+
+/**
+ * Delivery for lead-capture submissions.
+ *
+ * Each request times out, and network errors, timeouts and 5xx responses
+ * are retried with exponential backoff. Every submission carries a
+ * client-generated idempotency key (body and `Idempotency-Key` header), so
+ * retries and replays can never sign someone up twice. A submission that
+ * still can't be delivered, or is made while offline, is queued in
+ * localStorage and sent when the connection returns or on the next page.
+ *
+ * `submit()` resolves to an outcome `{ status, discount_code, retry_after,
+ * suggestion, error }` where status is one of LIFESCRIBE_SUBMISSION_OUTCOMES,
+ * `queued` or `error`.
+ */
+class LifeScribeSubmissionClient {
+    constructor(endpoint, options = {}) {
+        this.endpoint = endpoint;
+        this.timeout = options.timeout || 10000;
+        this.maxRetries = options.maxRetries ?? 2;
+        this.retryDelay = options.retryDelay || 1000;
+        this.queueRetryDelay = options.queueRetryDelay || 60000;
+        this.maxQueueAge = options.maxQueueAge || 24 * 60 * 60 * 1000;
+        this.storageKey = options.storageKey || 'lifescribe_popup_submission_queue';
+        this.onDelivered = options.onDelivered || (() => {});
+        this.queue = this.loadQueue();
+        this.isFlushing = false;
+        this.flushTimer = null;
+
+        window.addEventListener('online', () => this.flushQueue());
+        if (this.queue.length > 0) {
+            this.scheduleFlush(0);
+        }
+    }
+
+    /**
+     * Send a submission, or queue it when it can't get through
+     */
+    async submit(data) {
+        const submission = { ...data, idempotency_key: data.idempotency_key || this.generateKey() };
+
+        if (!navigator.onLine) {
+            return this.enqueue(submission);
+        }
+
+        const outcome = await this.send(submission);
+        return outcome.status === 'network_error' ? this.enqueue(submission) : outcome;
+    }
+
+    /**
+     * POST with a timeout, retrying failures that may be temporary.
+     * Resolves to `network_error` once the retries are used up.
+     */
+    async send(submission) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await this.wait(this.getBackoff(attempt));
+            }
+
+            try {
+                const response = await this.post(submission);
+                if (response.status >= 500) {
+                    throw new Error(`Submission failed with status ${response.status}`);
+                }
+
+                let body = {};
+                try {
+                    body = await response.json();
+                } catch (error) {
+                    // Empty or non-JSON body; the HTTP status still says what happened
+                }
+                return this.classify(response, body);
+            } catch (error) {
+                lastError = error;
+                console.warn(`Submission attempt ${attempt + 1} failed:`, error);
+            }
+        }
+
+        return { status: 'network_error', error: lastError ? lastError.message : null };
+    }
+
+    async post(submission) {
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        try {
+            return await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': submission.idempotency_key
+                },
+                body: JSON.stringify(submission),
+                signal: controller ? controller.signal : undefined
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter: ~1s, ~2s, ~4s...
+     */
+    getBackoff(attempt) {
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        return delay + Math.random() * delay * 0.25;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Map the server's answer to an outcome. An explicit status in the body
+     * wins; 409 and 429 are understood without one.
+     */
+    classify(response, body = {}) {
+        const code = body.status || body.code;
+        const outcome = {
+            discount_code: body.discount_code || null,
+            suggestion: body.suggestion || null,
+            error: body.error || null
+        };
+
+        if (LIFESCRIBE_SUBMISSION_OUTCOMES.includes(code)) {
+            outcome.status = code;
+        } else if (response.status === 429) {
+            outcome.status = 'rate_limited';
+        } else if (response.status === 409) {
+            outcome.status = 'already_subscribed';
+        } else if (response.ok && body.success) {
+            outcome.status = 'success';
+        } else {
+            outcome.status = 'error';
+        }
+
+        if (outcome.status === 'rate_limited') {
+            const retryAfter = Number(body.retry_after || response.headers?.get('Retry-After'));
+            outcome.retry_after = retryAfter > 0 ? retryAfter : 30;
+        }
+
+        return outcome;
+    }
+
+    enqueue(submission) {
+        if (!this.queue.some(entry => entry.submission.idempotency_key === submission.idempotency_key)) {
+            this.queue.push({ submission, queued_at: Date.now() });
+            this.saveQueue();
+        }
+        this.scheduleFlush(this.queueRetryDelay);
+        return { status: 'queued' };
+    }
+
+    scheduleFlush(delay) {
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flushQueue();
+        }, delay);
+    }
+
+    /**
+     * Send queued submissions in order, stopping at the first that still
+     * can't get through
+     */
+    async flushQueue() {
+        if (this.isFlushing || this.queue.length === 0 || !navigator.onLine) return;
+
+        this.isFlushing = true;
+        const cutoff = Date.now() - this.maxQueueAge;
+        this.queue = this.queue.filter(entry => entry.queued_at > cutoff);
+
+        while (this.queue.length > 0) {
+            const entry = this.queue[0];
+            const outcome = await this.send(entry.submission);
+
+            if (outcome.status === 'network_error' || outcome.status === 'rate_limited') {
+                this.saveQueue();
+                this.isFlushing = false;
+                this.scheduleFlush(outcome.retry_after ? outcome.retry_after * 1000 : this.queueRetryDelay);
+                return;
+            }
+
+            this.queue.shift();
+            this.saveQueue();
+            this.onDelivered(entry.submission, outcome);
+        }
+
+        this.saveQueue();
+        this.isFlushing = false;
+    }
+
+    /**
+     * Whether a submission from this popup is waiting to be sent
+     */
+    hasQueued(popupId) {
+        return this.queue.some(entry => entry.submission.popup_id === popupId);
+    }
+
+    /**
+     * Drop queued submissions, e.g. when marketing consent is withdrawn
+     */
+    clear() {
+        this.queue = [];
+        this.saveQueue();
+    }
+
+    loadQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveQueue() {
+        try {
+            if (this.queue.length) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.queue));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('Unable to persist submission queue:', error);
+        }
+    }
+
+    generateKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'sub_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
+
+/**
+ * Logic-light template engine for popup html_template/css_template.
+ *
+ * Syntax:
+ *   {{key}} / {{a.b}}           HTML-escaped interpolation
+ *   {{{key}}} / {{& key}}       raw interpolation (explicit opt-in)
+ *   {{#if key}}..{{else}}..{{/if}}, {{#unless key}}..{{/unless}}
+ *   {{#each list}}{{this}} {{@index}} {{field}}{{else}}empty{{/each}}
+ *   {{! comment }}
+ *
+ * Rendered HTML is passed through sanitize(), so a bad template cannot
+ * inject scripts or inline event handlers even when it uses raw output.
+ */
+class LifeScribeTemplateEngine {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Render a template to a sanitized HTML string
+     */
+    renderHTML(template, context) {
+        return this.sanitize(this.render(template, context, LifeScribeTemplateEngine.escapeHTML));
+    }
+
+    /**
+     * Render a template for use inside a <style> element
+     */
+    renderCSS(template, context) {
+        return this.render(template, context, LifeScribeTemplateEngine.escapeCSS)
+            .replace(/<\/style/gi, '<\\/style');
+    }
+
+    render(template, context, escape = LifeScribeTemplateEngine.escapeHTML) {
+        if (!template) return '';
+
+        const nodes = this.compile(template);
+        return this.renderNodes(nodes, [{ data: context, meta: {} }], escape);
+    }
+
+    /**
+     * Parse a template into a node tree (cached per template string)
+     */
+    compile(template) {
+        if (this.cache.has(template)) {
+            return this.cache.get(template);
+        }
+
+        const root = { type: 'root', body: [] };
+        const stack = [root];
+        const tagPattern = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        const current = () => {
+            const node = stack[stack.length - 1];
+            return node.inElse ? node.alt : node.body;
+        };
+
+        while ((match = tagPattern.exec(template)) !== null) {
+            if (match.index > lastIndex) {
+                current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+            }
+            lastIndex = tagPattern.lastIndex;
+
+            if (match[1]) {
+                current().push({ type: 'var', path: match[1], raw: true });
+                continue;
+            }
+
+            const tag = match[2];
+
+            if (tag.startsWith('!')) {
+                continue;
+            }
+
+            if (tag.startsWith('#')) {
+                const [keyword, path] = tag.slice(1).split(/\s+/);
+                if (!['if', 'unless', 'each'].includes(keyword) || !path) {
+                    throw new Error(`Template error: unknown block "{{${tag}}}"`);
+                }
+                const block = { type: keyword, path, body: [], alt: [], inElse: false };
+                current().push(block);
+                stack.push(block);
+                continue;
+            }
+
+            if (tag.startsWith('/')) {
+                const block = stack.pop();
+                if (stack.length === 0 || block.type !== tag.slice(1).trim()) {
+                    throw new Error(`Template error: unexpected "{{${tag}}}"`);
+                }
+                continue;
+            }
+
+            if (tag === 'else') {
+                const block = stack[stack.length - 1];
+                if (block.type === 'root' || block.inElse) {
+                    throw new Error('Template error: unexpected "{{else}}"');
+                }
+                block.inElse = true;
+                continue;
+            }
+
+            if (tag.startsWith('&')) {
+                current().push({ type: 'var', path: tag.slice(1).trim(), raw: true });
+                continue;
+            }
+
+            current().push({ type: 'var', path: tag, raw: false });
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Template error: unclosed "{{#${stack[stack.length - 1].type}}}"`);
+        }
+
+        if (lastIndex < template.length) {
+            root.body.push({ type: 'text', value: template.slice(lastIndex) });
+        }
+
+        this.cache.set(template, root.body);
+        return root.body;
+    }
+
+    renderNodes(nodes, scopes, escape) {
+        let output = '';
+
+        nodes.forEach(node => {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'var': {
+                    const value = this.lookup(node.path, scopes);
+                    if (value === undefined || value === null) break;
+                    output += node.raw ? String(value) : escape(String(value));
+                    break;
+                }
+                case 'if':
+                case 'unless': {
+                    const truthy = this.isTruthy(this.lookup(node.path, scopes));
+                    const branch = (node.type === 'if') === truthy ? node.body : node.alt;
+                    output += this.renderNodes(branch, scopes, escape);
+                    break;
+                }
+                case 'each': {
+                    const list = this.lookup(node.path, scopes);
+                    if (!Array.isArray(list) || list.length === 0) {
+                        output += this.renderNodes(node.alt, scopes, escape);
+                        break;
+                    }
+                    list.forEach((item, index) => {
+                        const meta = { index, first: index === 0, last: index === list.length - 1 };
+                        output += this.renderNodes(node.body, [...scopes, { data: item, meta }], escape);
+                    });
+                    break;
+                }
+            }
+        });
+
+        return output;
+    }
+
+    /**
+     * Resolve a dotted path against the scope stack, innermost first
+     */
+    lookup(path, scopes) {
+        const scope = scopes[scopes.length - 1];
+
+        if (path === 'this' || path === '.') return scope.data;
+        if (path.startsWith('@')) return scope.meta[path.slice(1)];
+
+        const segments = path.split('.');
+        let value;
+
+        if (segments[0] === 'this') {
+            value = scope.data;
+            segments.shift();
+        } else {
+            const owner = [...scopes].reverse().find(({ data }) =>
+                data !== null && typeof data === 'object' && segments[0] in data
+            );
+            if (!owner) return undefined;
+            value = owner.data;
+        }
+
+        for (const segment of segments) {
+            if (value === null || value === undefined) return undefined;
+            value = value[segment];
+        }
+
+        return value;
+    }
+
+    isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+
+    /**
+     * Remove scripts, embedded documents, inline event handlers and
+     * script URLs from rendered HTML
+     */
+    sanitize(html) {
+        const container = document.createElement('template');
+        container.innerHTML = html;
+
+        const blockedTags = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'base', 'link', 'meta'];
+        const urlAttributes = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+
+        container.content.querySelectorAll('*').forEach(element => {
+            if (blockedTags.includes(element.tagName.toLowerCase())) {
+                element.remove();
+                return;
+            }
+
+            Array.from(element.attributes).forEach(({ name, value }) => {
+                const attribute = name.toLowerCase();
+                const compactValue = value.replace(/[\u0000- ]/g, '');
+
+                if (attribute.startsWith('on') || attribute === 'srcdoc') {
+                    element.removeAttribute(name);
+                } else if (urlAttributes.includes(attribute) && LifeScribeTemplateEngine.isUnsafeUrl(compactValue)) {
+                    element.removeAttribute(name);
+                } else if (attribute === 'style' && /expression\(|javascript:/i.test(compactValue)) {
+                    element.removeAttribute(name);
+                }
+            });
+        });
+
+        return container.innerHTML;
+    }
+
+    /**
+     * Script URLs and non-image data URLs
+     */
+    static isUnsafeUrl(value) {
+        const compactValue = String(value).replace(/[\u0000- ]/g, '');
+        return /^\s*(javascript|vbscript|data:(?!image\/(png|gif|jpe?g|webp|avif);))/i.test(compactValue);
+    }
+
+    static escapeHTML(value) {
+        return value.replace(/[&<>"'`=]/g, character => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+            '`': '&#96;',
+            '=': '&#61;'
+        })[character]);
+    }
+
+    /**
+     * Strip characters that could break out of a CSS value
+     */
+    static escapeCSS(value) {
+        return value.replace(/[<>{};\\"']/g, '');
+    }
+}
+
+/**
+ * Schema-driven popup form. A popup config may declare `form_schema`:
+ *
+ *   {
+ *     steps: [
+ *       { title: 'About you', fields: [
+ *         { name: 'first_name', type: 'text', label: 'First name', required: true, max: 50 },
+ *         { name: 'email', type: 'email', label: 'Email', required: true },
+ *         { name: 'audience', type: 'radio', label: 'Who is this for?', required: true,
+ *           options: [{ value: 'self', label: 'Me' }, { value: 'gift', label: 'A parent' }] }
+ *       ] },
+ *       { title: 'Your story', fields: [
+ *         { name: 'birth_decade', type: 'select', label: 'Birth decade', options: ['1940s', '1950s'] },
+ *         { name: 'terms', type: 'consent', label: 'I agree to receive emails', required: true }
+ *       ] }
+ *     ]
+ *   }
+ *
+ * A schema with a top-level `fields` array is treated as one step.
+ * Supported types: text, email, tel, number, date, textarea, select,
+ * radio, checkbox (single, or a group when it has options) and consent.
+ * Rules: required, pattern, min/max (value for numbers, length for text,
+ * selection count for checkbox groups) and a custom `message`.
+ */
+class LifeScribePopupForm {
+    constructor(form, schema, options = {}) {
+        this.form = form;
+        this.steps = schema.steps || [{ fields: schema.fields || [] }];
+        this.idPrefix = options.idPrefix || 'lifescribe-field';
+        this.onStepChange = options.onStepChange || (() => {});
+        this.isValidEmail = options.isValidEmail || (value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value));
+        this.currentStep = 0;
+        this.stepElements = [];
+        this.fieldElements = new Map();
+        this.patterns = this.compilePatterns();
+
+        this.render();
+    }
+
+    /**
+     * Build step fieldsets inside `.lifescribe-popup-fields`, or replace the
+     * template's own fields (keeping its submit button) when there is none
+     */
+    render() {
+        this.submitButton = this.form.querySelector('.lifescribe-popup-submit');
+
+        let container = this.form.querySelector('.lifescribe-popup-fields');
+        if (!container) {
+            Array.from(this.form.children).forEach(child => {
+                if (child !== this.submitButton) child.remove();
+            });
+            container = document.createElement('div');
+            container.className = 'lifescribe-popup-fields';
+            this.form.insertBefore(container, this.submitButton);
+        }
+
+        this.form.noValidate = true;
+
+        this.stepElements = this.steps.map((step, index) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'lifescribe-form-step';
+            fieldset.dataset.step = index;
+
+            if (step.title) {
+                const legend = document.createElement('legend');
+                legend.className = 'lifescribe-form-step-title';
+                legend.textContent = step.title;
+                fieldset.appendChild(legend);
+            }
+
+            step.fields.forEach(field => fieldset.appendChild(this.renderField(field)));
+            container.appendChild(fieldset);
+            return fieldset;
+        });
+
+        if (this.steps.length > 1) {
+            this.renderNavigation(container);
+        }
+
+        this.form.addEventListener('focusout', (e) => {
+            const field = this.getFieldByName(e.target.name);
+            if (field && e.target.value !== '') {
+                this.validateField(field);
+            }
+        });
+
+        this.goToStep(0, false);
+    }
+
+    renderField(field) {
+        const wrapper = document.createElement('div');
+        wrapper.className = `lifescribe-form-field lifescribe-form-field-${field.type || 'text'}`;
+
+        const id = `${this.idPrefix}-${field.name}`;
+        const errorId = `${id}-error`;
+        const isGroup = field.type === 'radio' || (field.type === 'checkbox' && field.options);
+
+        let control;
+
+        if (isGroup) {
+            control = document.createElement('fieldset');
+            control.className = 'lifescribe-form-choice-group';
+            const legend = document.createElement('legend');
+            legend.textContent = this.getLabelText(field);
+            control.appendChild(legend);
+
+            this.normalizeOptions(field.options).forEach((option, index) => {
+                const optionId = `${id}-${index}`;
+                const input = document.createElement('input');
+                input.type = field.type;
+                input.id = optionId;
+                input.name = field.name;
+                input.value = option.value;
+
+                const label = document.createElement('label');
+                label.htmlFor = optionId;
+                label.textContent = option.label;
+
+                const choice = document.createElement('div');
+                choice.className = 'lifescribe-form-choice';
+                choice.append(input, label);
+                control.appendChild(choice);
+            });
+
+            control.setAttribute('aria-describedby', errorId);
+            wrapper.appendChild(control);
+        } else if (field.type === 'checkbox' || field.type === 'consent') {
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = id;
+            input.name = field.name;
+            input.value = 'true';
+            input.setAttribute('aria-describedby', errorId);
+
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = this.getLabelText(field);
+
+            if (field.link_url && LifeScribePopupForm.isSafeLink(field.link_url)) {
+                const link = document.createElement('a');
+                link.href = field.link_url;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = field.link_text || field.link_url;
+                label.append(' ', link);
+            }
+
+            control = input;
+            wrapper.append(input, label);
+        } else {
+            const label = document.createElement('label');
+            label.htmlFor = id;
+            label.textContent = this.getLabelText(field);
+
+            if (field.type === 'select') {
+                control = document.createElement('select');
+                const placeholder = document.createElement('option');
+                placeholder.value = '';
+                placeholder.textContent = field.placeholder || 'Select…';
+                control.appendChild(placeholder);
+
+                this.normalizeOptions(field.options).forEach(option => {
+                    const element = document.createElement('option');
+                    element.value = option.value;
+                    element.textContent = option.label;
+                    control.appendChild(element);
+                });
+            } else if (field.type === 'textarea') {
+                control = document.createElement('textarea');
+            } else {
+                control = document.createElement('input');
+                control.type = field.type || 'text';
+                if (field.type === 'email') control.autocomplete = 'email';
+            }
+
+            control.id = id;
+            control.name = field.name;
+            if (field.placeholder && field.type !== 'select') control.placeholder = field.placeholder;
+            if (field.required) control.setAttribute('aria-required', 'true');
+            control.setAttribute('aria-describedby', errorId);
+
+            wrapper.append(label, control);
+        }
+
+        const error = document.createElement('div');
+        error.className = 'lifescribe-field-error';
+        error.id = errorId;
+        error.hidden = true;
+        wrapper.appendChild(error);
+
+        this.fieldElements.set(field.name, { control, error });
+
+        return wrapper;
+    }
+
+    renderNavigation(container) {
+        const nav = document.createElement('div');
+        nav.className = 'lifescribe-form-nav';
+
+        this.progress = document.createElement('p');
+        this.progress.className = 'lifescribe-form-progress';
+        this.progress.setAttribute('aria-live', 'polite');
+
+        this.backButton = document.createElement('button');
+        this.backButton.type = 'button';
+        this.backButton.className = 'lifescribe-popup-back';
+        this.backButton.textContent = lifescribeTranslate('popup.form.back', 'Back');
+        this.backButton.addEventListener('click', () => this.back());
+
+        this.nextButton = document.createElement('button');
+        this.nextButton.type = 'button';
+        this.nextButton.className = 'lifescribe-popup-next';
+        this.nextButton.textContent = lifescribeTranslate('popup.form.next', 'Next');
+        this.nextButton.addEventListener('click', () => this.next());
+
+        nav.append(this.progress, this.backButton, this.nextButton);
+        container.appendChild(nav);
+    }
+
+    normalizeOptions(options = []) {
+        return options.map(option => (typeof option === 'object'
+            ? { value: String(option.value), label: option.label || String(option.value) }
+            : { value: String(option), label: String(option) }));
+    }
+
+    getLabelText(field) {
+        return field.label || field.name;
+    }
+
+    isLastStep() {
+        return this.currentStep === this.steps.length - 1;
+    }
+
+    /**
+     * Show one step, hiding the others and toggling the nav buttons
+     */
+    goToStep(index, moveFocus = true) {
+        this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.stepElements.forEach((fieldset, i) => {
+            fieldset.hidden = i !== this.currentStep;
+        });
+
+        if (this.steps.length > 1) {
+            this.backButton.hidden = this.currentStep === 0;
+            this.nextButton.hidden = this.isLastStep();
+            this.progress.textContent = lifescribeTranslate('popup.form.progress', 'Step {current} of {total}', {
+                current: this.currentStep + 1,
+                total: this.steps.length
+            });
+        }
+
+        if (this.submitButton) {
+            this.submitButton.hidden = !this.isLastStep();
+        }
+
+        if (moveFocus) {
+            const firstControl = this.stepElements[this.currentStep].querySelector('input, select, textarea');
+            if (firstControl) firstControl.focus();
+            this.onStepChange(this.currentStep);
+        }
+    }
+
+    /**
+     * Advance if the current step is valid
+     */
+    next() {
+        if (!this.validateStep(this.currentStep)) return false;
+        this.goToStep(this.currentStep + 1);
+        return true;
+    }
+
+    back() {
+        this.goToStep(this.currentStep - 1);
+    }
+
+    /**
+     * Validate every step; jumps to the first step with an error
+     */
+    validateAll() {
+        for (let i = 0; i < this.steps.length; i++) {
+            if (!this.validateStep(i, false)) {
+                if (i !== this.currentStep) this.goToStep(i);
+                this.focusFirstInvalid(i);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    validateStep(index, focus = true) {
+        const results = this.steps[index].fields.map(field => this.validateField(field));
+        const valid = results.every(Boolean);
+
+        if (!valid && focus) {
+            this.focusFirstInvalid(index);
+        }
+        return valid;
+    }
+
+    focusFirstInvalid(index) {
+        const invalid = this.stepElements[index].querySelector('[aria-invalid="true"]');
+        if (!invalid) return;
+
+        const target = invalid.matches('fieldset') ? invalid.querySelector('input') : invalid;
+        if (target) target.focus();
+    }
+
+    /**
+     * Compile each field's `pattern` once. A malformed pattern from the
+     * config is skipped with a warning rather than breaking the form.
+     */
+    compilePatterns() {
+        const patterns = new Map();
+
+        this.steps.forEach(step => (step.fields || []).forEach(field => {
+            if (!field.pattern) return;
+            try {
+                patterns.set(field.name, new RegExp(`^(?:${field.pattern})$`));
+            } catch (error) {
+                console.warn(`Ignoring invalid pattern for field "${field.name}":`, error.message);
+            }
+        }));
+
+        return patterns;
+    }
+
+    /**
+     * Consent links may only point to web pages or email addresses
+     */
+    static isSafeLink(url) {
+        if (LifeScribeTemplateEngine.isUnsafeUrl(url)) return false;
+
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(url, window.location.href).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check one field against its rules and show/clear its inline message
+     */
+    validateField(field) {
+        const value = this.getFieldValue(field);
+        const message = this.getValidationMessage(field, value);
+        const { control, error } = this.fieldElements.get(field.name) || {};
+
+        if (control) {
+            control.setAttribute('aria-invalid', message ? 'true' : 'false');
+        }
+        if (error) {
+            error.textContent = message || '';
+            error.hidden = !message;
+        }
+
+        return !message;
+    }
+
+    getValidationMessage(field, value) {
+        const label = this.getLabelText(field);
+        const isEmpty = value === '' || value === false || (Array.isArray(value) && value.length === 0);
+
+        const t = (key, fallback, params = {}) => field.message || lifescribeTranslate(`popup.validation.${key}`, fallback, { label, ...params });
+
+        if (isEmpty) {
+            if (!field.required) return null;
+            if (field.type === 'consent' || field.type === 'checkbox') {
+                return t('confirm', 'Please confirm: {label}');
+            }
+            return t('required', '{label} is required');
+        }
+
+        if (field.type === 'email' && !this.isValidEmail(value)) {
+            return t('email', 'Please enter a valid email address');
+        }
+
+        const pattern = this.patterns.get(field.name);
+        if (pattern && typeof value === 'string' && !pattern.test(value)) {
+            return t('pattern', 'Please enter a valid {field}', { field: label.toLocaleLowerCase() });
+        }
+
+        if (field.type === 'number') {
+            const number = Number(value);
+            if (Number.isNaN(number)) return t('number', '{label} must be a number');
+            if (field.min !== undefined && number < field.min) return t('min_number', '{label} must be at least {min}', { min: field.min });
+            if (field.max !== undefined && number > field.max) return t('max_number', '{label} must be at most {max}', { max: field.max });
+        } else if (Array.isArray(value)) {
+            if (field.min !== undefined && value.length < field.min) return t('min_choices', 'Choose at least {min}', { min: field.min });
+            if (field.max !== undefined && value.length > field.max) return t('max_choices', 'Choose at most {max}', { max: field.max });
+        } else if (typeof value === 'string') {
+            if (field.min !== undefined && value.length < field.min) {
+                return t('min_length', { one: '{label} must be at least {count} character', other: '{label} must be at least {count} characters' }, { count: field.min });
+            }
+            if (field.max !== undefined && value.length > field.max) {
+                return t('max_length', { one: '{label} must be at most {count} character', other: '{label} must be at most {count} characters' }, { count: field.max });
+            }
+        }
+
+        return null;
+    }
+
+    getFieldByName(name) {
+        for (const step of this.steps) {
+            const field = step.fields.find(candidate => candidate.name === name);
+            if (field) return field;
+        }
+        return null;
+    }
+
+    getFieldValue(field) {
+        const inputs = Array.from(this.form.querySelectorAll('input, select, textarea'))
+            .filter(input => input.name === field.name);
+
+        if (field.type === 'radio') {
+            const checked = inputs.find(input => input.checked);
+            return checked ? checked.value : '';
+        }
+        if (field.type === 'checkbox' && field.options) {
+            return inputs.filter(input => input.checked).map(input => input.value);
+        }
+        if (field.type === 'checkbox' || field.type === 'consent') {
+            return Boolean(inputs[0] && inputs[0].checked);
+        }
+        return inputs[0] ? inputs[0].value.trim() : '';
+    }
+
+    /**
+     * All field values keyed by name
+     */
+    getValues() {
+        const values = {};
+        this.steps.forEach(step => {
+            step.fields.forEach(field => {
+                values[field.name] = this.getFieldValue(field);
+            });
+        });
+        return values;
+    }
+}
+
+/**
+ * Accessible modal dialog behaviour for a popup overlay: dialog roles,
+ * focus trap, inert background, scroll lock, focus restore and
+ * live-region announcements.
+ */
+class LifeScribeAccessibleDialog {
+    constructor(overlay, options = {}) {
+        this.overlay = overlay;
+        this.onEscape = options.onEscape || (() => {});
+        this.dialog = overlay.querySelector('.lifescribe-popup-content') || overlay;
+        this.previousFocus = null;
+        this.hiddenSiblings = [];
+        this.previousBodyStyles = null;
+        this.liveRegion = null;
+        this.isActive = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    static get FOCUSABLE_SELECTOR() {
+        return [
+            'a[href]',
+            'area[href]',
+            'button:not([disabled])',
+            'input:not([disabled]):not([type="hidden"])',
+            'select:not([disabled])',
+            'textarea:not([disabled])',
+            '[tabindex]:not([tabindex="-1"])',
+            '[contenteditable="true"]'
+        ].join(',');
+    }
+
+    /**
+     * Apply dialog semantics and take over focus. The overlay must
+     * already be attached to the document.
+     */
+    activate() {
+        if (this.isActive) return;
+        this.isActive = true;
+
+        this.previousFocus = document.activeElement;
+
+        this.applyDialogSemantics();
+        this.createLiveRegion();
+        this.hideBackground();
+        this.lockScroll();
+
+        document.addEventListener('keydown', this.handleKeydown, true);
+
+        this.focusInitial();
+    }
+
+    /**
+     * Undo everything activate() did and return focus to where it was
+     */
+    deactivate() {
+        if (!this.isActive) return;
+        this.isActive = false;
+
+        document.removeEventListener('keydown', this.handleKeydown, true);
+
+        this.restoreBackground();
+        this.unlockScroll();
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function' && document.contains(this.previousFocus)) {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    applyDialogSemantics() {
+        this.dialog.setAttribute('role', 'dialog');
+        this.dialog.setAttribute('aria-modal', 'true');
+
+        if (!this.dialog.hasAttribute('tabindex')) {
+            this.dialog.setAttribute('tabindex', '-1');
+        }
+
+        const heading = this.dialog.querySelector('h1, h2, h3, [class*="title"]');
+        if (heading && !this.dialog.hasAttribute('aria-labelledby')) {
+            heading.id = heading.id || `${this.overlay.id}-title`;
+            this.dialog.setAttribute('aria-labelledby', heading.id);
+        }
+
+        const description = this.dialog.querySelector('p, [class*="subtitle"]');
+        if (description && !this.dialog.hasAttribute('aria-describedby')) {
+            description.id = description.id || `${this.overlay.id}-description`;
+            this.dialog.setAttribute('aria-describedby', description.id);
+        }
+    }
+
+    createLiveRegion() {
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'lifescribe-popup-live-region';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.liveRegion.style.cssText = `
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            margin: -1px;
+            padding: 0;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+        `;
+        this.overlay.appendChild(this.liveRegion);
+    }
+
+    /**
+     * Announce a message to screen readers. Errors use assertive politeness.
+     */
+    announce(message, politeness = 'polite') {
+        if (!this.liveRegion) return;
+
+        this.liveRegion.setAttribute('aria-live', politeness);
+        this.liveRegion.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+
+        // Clear first so repeating the same message is announced again
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            if (this.liveRegion) {
+                this.liveRegion.textContent = message;
+            }
+        }, 50);
+    }
+
+    /**
+     * Make everything outside the popup inert and hidden from assistive tech
+     */
+    hideBackground() {
+        Array.from(document.body.children).forEach(element => {
+            if (element === this.overlay || element.tagName === 'SCRIPT') return;
+
+            this.hiddenSiblings.push({
+                element,
+                inert: element.hasAttribute('inert'),
+                ariaHidden: element.getAttribute('aria-hidden')
+            });
+
+            element.setAttribute('inert', '');
+            element.setAttribute('aria-hidden', 'true');
+        });
+    }
+
+    restoreBackground() {
+        this.hiddenSiblings.forEach(({ element, inert, ariaHidden }) => {
+            if (!inert) {
+                element.removeAttribute('inert');
+            }
+            if (ariaHidden === null) {
+                element.removeAttribute('aria-hidden');
+            } else {
+                element.setAttribute('aria-hidden', ariaHidden);
+            }
+        });
+        this.hiddenSiblings = [];
+    }
+
+    lockScroll() {
+        const body = document.body;
+        const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+        this.previousBodyStyles = {
+            overflow: body.style.overflow,
+            paddingRight: body.style.paddingRight
+        };
+
+        body.style.overflow = 'hidden';
+        if (scrollbarWidth > 0) {
+            body.style.paddingRight = `${scrollbarWidth}px`;
+        }
+    }
+
+    unlockScroll() {
+        if (!this.previousBodyStyles) return;
+
+        document.body.style.overflow = this.previousBodyStyles.overflow;
+        document.body.style.paddingRight = this.previousBodyStyles.paddingRight;
+        this.previousBodyStyles = null;
+    }
+
+    getFocusableElements() {
+        return Array.from(this.dialog.querySelectorAll(LifeScribeAccessibleDialog.FOCUSABLE_SELECTOR))
+            .filter(element => !element.closest('[inert], [hidden]') && element.getAttribute('aria-hidden') !== 'true');
+    }
+
+    /**
+     * Focus the email field, else the first focusable control, else the dialog
+     */
+    focusInitial() {
+        const focusable = this.getFocusableElements();
+        const target = focusable.find(element => element.matches('input[type="email"], input[name="email"]'))
+            || focusable.find(element => element.matches('input, select, textarea'))
+            || focusable[0]
+            || this.dialog;
+
+        target.focus();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.onEscape();
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusableElements();
+        if (focusable.length === 0) {
+            e.preventDefault();
+            this.dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!this.dialog.contains(active)) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        } else if (e.shiftKey && (active === first || active === this.dialog)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Text defaults with entries in the message catalogs (popup.<key>)
+const LIFESCRIBE_TRANSLATABLE_DEFAULTS = [
+    'title',
+    'subtitle',
+    'email_placeholder',
+    'submit_button_text',
+    'privacy_text',
+    'success_title',
+    'success_text',
+    'success_subtitle',
+    'already_subscribed_title',
+    'already_subscribed_subtitle',
+    'double_opt_in_pending_title',
+    'double_opt_in_pending_subtitle',
+    'queued_title',
+    'queued_subtitle'
+];
+
+const LIFESCRIBE_TEMPLATE_DEFAULTS = {
+    title: 'Join Our Community',
+    subtitle: 'Get exclusive updates and special offers',
+    email_placeholder: 'Enter your email address',
+    submit_button_text: 'Get My Discount',
+    privacy_text: 'We respect your privacy. Unsubscribe at any time.',
+    // Theme tokens (theme.js); the fallbacks are the light theme for pages without them
+    background_color: 'var(--ls-popup-background, #F9F3E9)',
+    text_color: 'var(--ls-popup-text, #1A5F7A)',
+    accent_color: 'var(--ls-popup-accent, #D4AC0D)',
+    border_radius: '8',
+    success_title: 'Thank You!',
+    success_text: 'Your discount code:',
+    success_subtitle: 'Check your email for details!',
+    already_subscribed_title: "You're already on the list",
+    already_subscribed_subtitle: 'Look out for our next email.',
+    double_opt_in_pending_title: 'Almost there!',
+    double_opt_in_pending_subtitle: 'Check your inbox and confirm your email address to finish signing up.',
+    queued_title: "We've saved your details",
+    queued_subtitle: "We couldn't reach our servers just now, so we'll send them as soon as your connection is back.",
+
+    success_template: `
+        <div class="lifescribe-success-message">
+            <div class="lifescribe-success-icon">✓</div>
+            <h2 class="lifescribe-success-title">{{success_title}}</h2>
+            {{#if discount_code}}
+                <p class="lifescribe-success-text">{{success_text}}</p>
+                <div class="lifescribe-discount-code">{{discount_code}}</div>
+            {{/if}}
+            <p class="lifescribe-success-subtitle">{{success_subtitle}}</p>
+        </div>
+    `,
+
+    success_css_template: `
+        .lifescribe-success-message {
+            text-align: center;
+        }
+        .lifescribe-success-icon {
+            font-size: 48px;
+            color: var(--ls-color-success, #146152);
+            margin-bottom: 20px;
+        }
+        .lifescribe-success-title {
+            font-family: 'Playfair Display', serif;
+            font-size: 28px;
+            color: {{text_color}};
+            margin-bottom: 15px;
+        }
+        .lifescribe-success-text {
+            font-family: 'Inter', sans-serif;
+            color: var(--ls-color-text-muted, #5D6D7E);
+            margin-bottom: 10px;
+        }
+        .lifescribe-discount-code {
+            font-family: 'Inter', sans-serif;
+            font-size: 24px;
+            font-weight: 600;
+            color: {{accent_color}};
+            background: rgba(212, 172, 13, 0.1);
+            background: color-mix(in srgb, {{accent_color}} 10%, transparent);
+            padding: 15px 20px;
+            border-radius: {{border_radius}}px;
+            margin: 15px 0;
+            border: 2px dashed {{accent_color}};
+        }
+        .lifescribe-success-subtitle {
+            font-family: 'Inter', sans-serif;
+            color: var(--ls-color-text-muted, #5D6D7E);
+            font-size: 14px;
+        }
+    `,
+
+    form_css_template: `
+        .lifescribe-form-step {
+            border: none;
+            margin: 0;
+            padding: 0;
+        }
+        .lifescribe-form-step-title {
+            font-family: 'Playfair Display', serif;
+            color: {{text_color}};
+            margin-bottom: 10px;
+        }
+        .lifescribe-form-field {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            margin-bottom: 12px;
+            text-align: left;
+        }
+        .lifescribe-form-field-checkbox,
+        .lifescribe-form-field-consent {
+            flex-direction: row;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+        }
+        .lifescribe-form-field input:not([type="checkbox"]):not([type="radio"]),
+        .lifescribe-form-field select,
+        .lifescribe-form-field textarea {
+            font: inherit;
+            padding: 10px 12px;
+            border: 1px solid var(--ls-color-input-border, #C9CFD4);
+            border-radius: {{border_radius}}px;
+        }
+        .lifescribe-form-field [aria-invalid="true"] {
+            border-color: var(--ls-color-error, #7D1935);
+        }
+        .lifescribe-form-choice-group {
+            border: none;
+            padding: 0;
+        }
+        .lifescribe-form-choice {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+        .lifescribe-field-error {
+            width: 100%;
+            color: var(--ls-color-error, #7D1935);
+            font-size: 13px;
+        }
+        .lifescribe-form-nav {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 10px;
+            margin-bottom: 12px;
+        }
+        .lifescribe-form-progress {
+            font-size: 13px;
+            color: var(--ls-color-text-muted, #5D6D7E);
+            margin-right: auto;
+        }
+        .lifescribe-popup-back,
+        .lifescribe-popup-next {
+            padding: 8px 16px;
+            border-radius: {{border_radius}}px;
+            border: 2px solid {{accent_color}};
+            background: transparent;
+            color: {{text_color}};
+            font-weight: 600;
+        }
+    `,
+
+    error_template: '<div class="lifescribe-form-error">{{message}}</div>',
+
+    error_css_template: `
+        .lifescribe-form-error {
+            color: var(--ls-color-error, #7D1935);
+            background: rgba(125, 25, 53, 0.1);
+            background: color-mix(in srgb, var(--ls-color-error, #7D1935) 10%, transparent);
+            padding: 10px;
+            border-radius: 4px;
+            margin: 10px 0;
+            font-size: 14px;
+            text-align: center;
+            border: 1px solid rgba(125, 25, 53, 0.2);
+            border-color: color-mix(in srgb, var(--ls-color-error, #7D1935) 20%, transparent);
+        }
+    `
+};
+
+/**
+ * Client-side audience targeting for popup campaigns.
+ *
+ * A campaign's `targeting` rule is evaluated against what this browser
+ * knows about the visitor. Rules combine like trigger rules, with
+ * `{ all: [...] }`, `{ any: [...] }` and `{ not: rule }`, around leaves
+ * of the form `{ type, value }`:
+ *
+ * - visitor: 'new' or 'returning'
+ * - visit_count: `{ min, max }` (either may be omitted)
+ * - utm_source, utm_medium, utm_campaign: a value or list of values from
+ *   the landing page (case-insensitive), or true for any
+ * - referrer_domain: a domain or list; subdomains match too, true for any
+ *   external referrer
+ * - landing_url: path pattern with `*` wildcards, e.g. '/blog/*'
+ * - time_zone: IANA zone or pattern, e.g. 'America/*'
+ * - language: browser language, e.g. 'es' (matches es-MX too)
+ * - device: 'mobile', 'tablet' or 'desktop', from the viewport
+ * - converted: true once the visitor has submitted a popup or been identified
+ *
+ * Any rule may carry an `id`; it names the match reported with impressions.
+ *
+ *   targeting: { id: 'returning-paid', all: [
+ *       { type: 'visitor', value: 'returning' },
+ *       { type: 'utm_medium', value: ['cpc', 'paid_social'] },
+ *       { not: { type: 'converted', value: true } }
+ *   ] }
+ */
+class LifeScribeAudience {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'lifescribe_visitor_profile';
+        this.visitKey = options.visitKey || 'lifescribe_visit_counted';
+        this.hasSubmitted = options.hasSubmitted || (() => false);
+        this.profile = this.loadProfile();
+    }
+
+    loadProfile() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveProfile() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.profile));
+        } catch (error) {
+            console.warn('Unable to persist visitor profile:', error);
+        }
+    }
+
+    /**
+     * Count this browser session as a visit, once
+     */
+    recordVisit() {
+        try {
+            if (sessionStorage.getItem(this.visitKey)) return;
+            sessionStorage.setItem(this.visitKey, '1');
+        } catch (error) {
+            // Without sessionStorage every page would count; count none
+            return;
+        }
+
+        const now = Date.now();
+        this.profile = {
+            ...this.profile,
+            visits: (this.profile.visits || 0) + 1,
+            first_visit: this.profile.first_visit || now,
+            last_visit: now
+        };
+        this.saveProfile();
+    }
+
+    recordConversion() {
+        if (this.profile.converted_at) return;
+
+        this.profile = { ...this.profile, converted_at: Date.now() };
+        this.saveProfile();
+    }
+
+    /**
+     * Landing page attribution kept by cta-router.js for this session
+     */
+    getAttribution() {
+        try {
+            return JSON.parse(sessionStorage.getItem('lifescribe_attribution')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Device class from the viewport. Touch screens up to iPad Pro width
+     * count as tablets, so iPadOS (which reports a desktop user agent)
+     * is a tablet too.
+     */
+    static getDeviceClass() {
+        const width = window.innerWidth || document.documentElement.clientWidth;
+        const coarse = window.matchMedia ? window.matchMedia('(pointer: coarse)').matches : false;
+
+        if (width < 768) return 'mobile';
+        if (width <= 1024 || (coarse && width <= 1366)) return 'tablet';
+        return 'desktop';
+    }
+
+    /**
+     * Everything targeting rules can look at
+     */
+    getContext() {
+        const attribution = this.getAttribution();
+        let referrerDomain = '';
+        try {
+            referrerDomain = attribution.referrer ? new URL(attribution.referrer).hostname : '';
+        } catch (error) {
+            referrerDomain = '';
+        }
+
+        const visits = this.profile.visits || 1;
+        return {
+            visitor: visits > 1 ? 'returning' : 'new',
+            visit_count: visits,
+            utm_source: attribution.utm_source || '',
+            utm_medium: attribution.utm_medium || '',
+            utm_campaign: attribution.utm_campaign || '',
+            referrer_domain: referrerDomain,
+            landing_url: attribution.landing_page || window.location.pathname,
+            time_zone: Intl.DateTimeFormat().resolvedOptions().timeZone || '',
+            languages: (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || '']).map(language => language.toLowerCase()),
+            device: LifeScribeAudience.getDeviceClass(),
+            converted: Boolean(this.profile.converted_at) || this.hasSubmitted()
+        };
+    }
+
+    /**
+     * Evaluate a rule. Returns a label for what matched (the rule's `id`,
+     * or a description of it), or null when the visitor is not in the
+     * audience. No rule matches everyone.
+     */
+    match(rule, context = this.getContext()) {
+        if (!rule) return 'all';
+
+        if (rule.all) {
+            const labels = rule.all.map(child => this.match(child, context));
+            if (labels.some(label => label === null)) return null;
+            return rule.id || (labels.length === 1 ? labels[0] : `(${labels.join(' & ')})`);
+        }
+
+        if (rule.any) {
+            const label = rule.any.map(child => this.match(child, context)).find(result => result !== null);
+            return label === undefined ? null : (rule.id || label);
+        }
+
+        if (rule.not) {
+            return this.match(rule.not, context) === null ? (rule.id || `not ${LifeScribeAudience.describe(rule.not)}`) : null;
+        }
+
+        return this.matchesLeaf(rule, context) ? (rule.id || LifeScribeAudience.describe(rule)) : null;
+    }
+
+    matchesLeaf(rule, context) {
+        const { type, value } = rule;
+        const values = Array.isArray(value) ? value : [value];
+
+        switch (type) {
+            case 'visitor':
+                return values.includes(context.visitor);
+            case 'visit_count':
+                return context.visit_count >= ((value && value.min) || 0) && context.visit_count <= ((value && value.max) ?? Infinity);
+            case 'utm_source':
+            case 'utm_medium':
+            case 'utm_campaign': {
+                const actual = context[type].toLowerCase();
+                return value === true ? Boolean(actual) : values.some(expected => String(expected).toLowerCase() === actual);
+            }
+            case 'referrer_domain': {
+                const actual = context.referrer_domain.toLowerCase();
+                if (value === true) return Boolean(actual);
+                return Boolean(actual) && values.some(domain => {
+                    const expected = String(domain).toLowerCase().replace(/^www\./, '');
+                    return actual === expected || actual.endsWith(`.${expected}`);
+                });
+            }
+            case 'landing_url':
+                return values.some(pattern => LifeScribeAudience.matchesPattern(pattern, context.landing_url));
+            case 'time_zone':
+                return values.some(pattern => LifeScribeAudience.matchesPattern(pattern, context.time_zone));
+            case 'language':
+                return values.some(expected => {
+                    const language = String(expected).toLowerCase();
+                    return context.languages.some(actual => actual === language || actual.startsWith(`${language}-`));
+                });
+            case 'device':
+                return values.includes(context.device);
+            case 'converted':
+                return context.converted === (value !== false);
+            default:
+                console.warn('Unknown targeting rule type:', type);
+                return false;
+        }
+    }
+
+    /**
+     * Whole-string match where `*` stands for anything
+     */
+    static matchesPattern(pattern, text) {
+        const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`, 'i').test(text);
+    }
+
+    static describe(rule) {
+        if (rule.id) return rule.id;
+        if (rule.all || rule.any) return `(${(rule.all || rule.any).map(child => LifeScribeAudience.describe(child)).join(rule.all ? ' & ' : ' | ')})`;
+        if (rule.not) return `not ${LifeScribeAudience.describe(rule.not)}`;
+
+        const value = typeof rule.value === 'object' && rule.value !== null && !Array.isArray(rule.value)
+            ? JSON.stringify(rule.value)
+            : [].concat(rule.value).join('|');
+        return `${rule.type}:${value}`;
+    }
+}
+
 class LifeScribePopupSystem {
-    constructor() {
+    /**
+     * Options (also read from the script tag and window.LifeScribePopupConfig,
+     * see readConfig):
+     * - apiBase: backend origin; detected from the hostname when omitted
+     * - autoInit: false waits for start() instead of starting on load
+     * - debug: log every event and open the diagnostics overlay
+     * - locale: locale to request popups in; defaults to the page's
+     */
+    constructor(options = {}) {
+        this.options = { ...LifeScribePopupSystem.readConfig(), ...options };
         this.config = null;
         this.isInitialized = false;
+        this.isDestroyed = false;
+        this.isStarted = false;
+        this.listeners = new Map();
+        this.readyDetail = null;
+        this.suppressedUntil = 0;
+        this.suppressTimer = null;
         this.sessionId = this.getOrCreateSessionId();
-        this.apiBase = this.detectApiBase();
+        this.capturedEmail = this.readCapturedEmail();
+        this.apiBase = this.options.apiBase ? String(this.options.apiBase).replace(/\/+$/, '') : this.detectApiBase();
+        this.previewSource = new URLSearchParams(window.location.search).get('ls_popup_preview');
+        this.eventTransport = new LifeScribeEventTransport(`${this.apiBase}/api/popup/track/batch`, {
+            dryRun: Boolean(this.previewSource)
+        });
+        // Previews never submit, so they never touch the real queue
+        this.submissionClient = this.previewSource ? null : new LifeScribeSubmissionClient(`${this.apiBase}/api/popup/submit`, {
+            onDelivered: (submission, outcome) => this.handleDeliveredSubmission(submission, outcome)
+        });
+        this.pendingSubmissions = new WeakSet();
+        this.rejectedSubmissions = new Map();
+        this.templateEngine = new LifeScribeTemplateEngine();
+        this.schemaForms = new WeakMap();
+        this.triggerCleanups = new Map();
+        this.armedTriggers = new Map();
+        this.activePopupList = [];
+
+        // Never send events left over from a visit that lacks analytics consent
+        if (!this.hasConsent('analytics')) {
+            this.eventTransport.clear();
+        }
+        // ...nor submissions queued before marketing consent was withdrawn
+        if (!this.hasConsent('marketing')) {
+            this.submissionClient?.clear();
+        }
         this.currentPopup = null;
         this.displayedPopups = new Set();
+        this.campaigns = new Map();
+        this.popupQueue = [];
+        this.popupHistory = this.loadPopupHistory();
+        this.audience = new LifeScribeAudience({
+            hasSubmitted: () => Object.values(this.popupHistory).some(history => history.submitted_at)
+        });
         
         // Performance tracking
         this.performanceMetrics = {
@@ -20,35 +1868,329 @@ class LifeScribePopupSystem {
             userInteraction: null
         };
 
-        // Initialize when DOM is ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.init());
+        if (this.options.autoInit !== false) {
+            this.start();
+        }
+    }
+
+    /**
+     * Configuration from `data-*` attributes on this file's <script> tag,
+     * overridden by `window.LifeScribePopupConfig`:
+     *
+     *   <script src="popup-system.js" data-api-base="https://api.example.com"
+     *           data-auto-init="false" data-debug="true" data-locale="fr"></script>
+     */
+    static readConfig() {
+        const dataset = lifescribePopupScript ? lifescribePopupScript.dataset : {};
+        const flag = (value) => (value === undefined ? undefined : value !== 'false');
+        const fromScript = {
+            apiBase: dataset.apiBase,
+            autoInit: flag(dataset.autoInit),
+            debug: flag(dataset.debug),
+            locale: dataset.locale
+        };
+
+        const config = { ...window.LifeScribePopupConfig };
+        Object.entries(fromScript).forEach(([key, value]) => {
+            if (value !== undefined && config[key] === undefined) {
+                config[key] = value;
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Start the popup system. Runs on load unless `autoInit` is false;
+     * safe to call more than once.
+     */
+    start() {
+        if (this.isStarted || this.isDestroyed) return;
+        this.isStarted = true;
+
+        // Popups are marketing: initialize once the visitor allows it and the DOM is ready
+        const init = () => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => this.init());
+            } else {
+                this.init();
+            }
+        };
+
+        // Preview mode sends nothing anywhere, so it does not wait for consent
+        const consent = window.LifeScribeConsent;
+        if (consent && !this.previewSource) {
+            consent.whenGranted('marketing', init);
+            consent.onChange(() => this.handleConsentChange());
         } else {
-            this.init();
+            init();
+        }
+    }
+
+    /**
+     * Subscribe to a popup system event:
+     * - ready: `{ popups, preview }` once triggers are armed. Listeners
+     *   added later are called right away.
+     * - show: `{ id, variant_id, targeting_rule }` when a popup is displayed
+     * - close: `{ id, variant_id, reason }` when it has been removed
+     * - submit: `{ id, variant_id, status }` for every submission outcome
+     * - error: `{ id, stage, error }` when loading, showing or submitting fails
+     * - trigger-armed: `{ id, rule }` when a campaign's trigger is set up
+     *
+     * Each is also dispatched on document as `lifescribe:popup-<event>`.
+     */
+    on(event, listener) {
+        if (!LIFESCRIBE_POPUP_EVENTS.includes(event)) {
+            console.warn('Unknown popup event:', event);
+            return this;
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+
+        if (event === 'ready' && this.isInitialized) {
+            listener(this.readyDetail);
+        }
+        return this;
+    }
+
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+        return this;
+    }
+
+    emit(event, detail = {}) {
+        if (this.options.debug) {
+            console.debug(`🎯 Popup event: ${event}`, detail);
+        }
+
+        (this.listeners.get(event) || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in popup "${event}" listener:`, error);
+            }
+        });
+        document.dispatchEvent(new CustomEvent(`lifescribe:popup-${event}`, { detail }));
+    }
+
+    /**
+     * Show a campaign now, skipping its trigger. Campaigns that are not
+     * armed on this page are fetched from the API. Frequency caps and
+     * consent still apply. Resolves to true when the popup was shown or
+     * queued behind the current one.
+     */
+    async show(id) {
+        if (this.isDestroyed || (!this.previewSource && !this.hasConsent('marketing'))) return false;
+
+        if (window.lifescribeI18n) {
+            await window.lifescribeI18n.ready;
+        }
+
+        let config = this.campaigns.get(id);
+        if (!config) {
+            const baseConfig = await this.getPopupConfig(id);
+            if (!baseConfig) return false;
+            config = this.resolveVariant(baseConfig);
+            this.campaigns.set(config.id, config);
+        }
+
+        if (this.displayedPopups.has(config.id) || !this.canShowPopup(config)) return false;
+
+        this.disarmTriggers(config.id);
+        await this.showPopup(config, { force: true });
+        return this.currentPopup?.id === config.id || this.popupQueue.some(queued => queued.id === config.id);
+    }
+
+    /**
+     * Close the popup that is showing, if any
+     */
+    close() {
+        return this.closePopup('api');
+    }
+
+    /**
+     * Keep triggered popups from showing for `ms` milliseconds (or until
+     * suppress(0)). Popups that trigger meanwhile are queued and shown
+     * afterwards; the popup already showing stays, and show() still works.
+     */
+    suppress(ms = Infinity) {
+        clearTimeout(this.suppressTimer);
+        this.suppressedUntil = ms > 0 ? Date.now() + ms : 0;
+
+        if (ms > 0 && Number.isFinite(ms)) {
+            this.suppressTimer = setTimeout(() => {
+                this.suppressedUntil = 0;
+                if (!this.currentPopup) this.showNextQueuedPopup();
+            }, ms);
+        } else if (!this.currentPopup) {
+            this.showNextQueuedPopup();
+        }
+    }
+
+    isSuppressed() {
+        return Date.now() < this.suppressedUntil;
+    }
+
+    /**
+     * Tell the popup system who the visitor is, e.g. after signing in on a
+     * landing page. The email prefills signup links and the support chat
+     * just like a popup submission. Returns false for an invalid email.
+     */
+    identify(email) {
+        const value = String(email || '').trim();
+        if (!this.isValidEmail(value)) return false;
+
+        this.rememberSubmission(value);
+        return true;
+    }
+
+    /**
+     * Remove the popup system from the page: close the popup, disarm every
+     * trigger and drop the queue and listeners. Events already buffered
+     * for tracking are still sent.
+     */
+    destroy() {
+        if (this.isDestroyed) return;
+
+        const popup = this.currentPopup;
+        if (popup) {
+            popup.dialog?.deactivate();
+            popup.element.remove();
+            this.currentPopup = null;
+            this.emit('close', { id: popup.id, variant_id: popup.config.variant_id || null, reason: 'destroyed' });
+        }
+
+        Array.from(this.triggerCleanups.keys()).forEach(id => this.disarmTriggers(id));
+        clearTimeout(this.suppressTimer);
+        this.popupQueue = [];
+        this.listeners.clear();
+        this.isDestroyed = true;
+        console.log('🧹 LifeScribe Popup System: Destroyed');
+    }
+
+    getLocale() {
+        return this.options.locale || lifescribeLocale();
+    }
+
+    /**
+     * Stop showing popups or tracking as soon as consent is withdrawn
+     */
+    handleConsentChange() {
+        if (this.isDestroyed) return;
+
+        if (!this.hasConsent('marketing')) {
+            Array.from(this.triggerCleanups.keys()).forEach(id => this.disarmTriggers(id));
+            this.popupQueue = [];
+            this.submissionClient?.clear();
+            this.closePopup('consent_withdrawn');
+        }
+
+        if (!this.hasConsent('analytics')) {
+            this.eventTransport.clear();
         }
     }
 
+    hasConsent(category) {
+        return !window.LifeScribeConsent || window.LifeScribeConsent.has(category);
+    }
+
+    /**
+     * Popups are marketing; preview mode doesn't wait for consent
+     */
+    hasMarketingConsent() {
+        return Boolean(this.previewSource) || this.hasConsent('marketing');
+    }
+
     /**
      * Initialize the popup system
      */
     async init() {
+        if (this.isInitialized || this.isDestroyed) return;
+
         try {
             console.log('🎯 LifeScribe Popup System: Initializing...');
+
+            if (this.options.debug && window.lifescribeDebug && !window.lifescribeDebug.panel) {
+                window.lifescribeDebug.mount();
+            }
+
+            // Default copy and validation messages need the message catalog
+            if (window.lifescribeI18n) {
+                await window.lifescribeI18n.ready;
+            }
+
+            // Popups that triggered while support chat was open get their turn after it
+            document.addEventListener('lifescribe:chat-close', () => {
+                if (!this.currentPopup && !this.isDestroyed) this.showNextQueuedPopup();
+            });
+
+            // Popups held while offline get their turn once the connection is back
+            window.addEventListener('online', () => {
+                if (!this.currentPopup && !this.isDestroyed) this.showNextQueuedPopup();
+            });
+
+            if (this.previewSource) {
+                await this.initPreview(this.previewSource);
+                this.markReady({ popups: 1, preview: true });
+                return;
+            }
             
+            this.audience.recordVisit();
+
             // Load active popups for current page
             const activePopups = await this.getActivePopups();
             
-            if (activePopups.length > 0) {
-                // Setup triggers for the first active popup
-                const popup = activePopups[0];
-                await this.setupPopupTriggers(popup);
-            }
+            // Arm triggers for every active campaign; the queue decides display order
+            this.activePopupList = activePopups;
+            await Promise.all(activePopups.map(popup => this.setupPopupTriggers(popup)));
 
-            this.isInitialized = true;
+            this.markReady({ popups: activePopups.length, preview: false });
             console.log('✅ LifeScribe Popup System: Ready');
             
         } catch (error) {
             console.error('❌ LifeScribe Popup System: Initialization failed', error);
+            this.emit('error', { id: null, stage: 'init', error: error.message });
+        }
+    }
+
+    markReady(detail) {
+        if (this.isDestroyed) return;
+
+        this.isInitialized = true;
+        this.readyDetail = detail;
+        this.emit('ready', detail);
+    }
+
+    /**
+     * Preview mode (`?ls_popup_preview=<id|url>`): render a popup config
+     * from a local JSON file immediately, with triggers, frequency caps,
+     * tracking and submission all stubbed out. A bare id loads
+     * `popup-previews/<id>.json`; anything else is treated as a
+     * same-origin URL. The file may hold the config itself or the
+     * `{ success, config }` shape returned by /api/popup/config.
+     */
+    async initPreview(source) {
+        const isPath = source.includes('/') || source.endsWith('.json');
+        const url = new URL(isPath ? source : `popup-previews/${encodeURIComponent(source)}.json`, window.location.href);
+
+        if (url.origin !== window.location.origin) {
+            console.error('❌ Popup preview: only same-origin config files can be previewed:', url.href);
+            return;
+        }
+
+        try {
+            const response = await fetch(url.href, { cache: 'no-store' });
+            const data = await response.json();
+            const config = this.resolveVariant(data.config || data);
+
+            config.id = config.id ?? source;
+            this.campaigns.set(config.id, config);
+
+            console.log('🧪 Popup preview:', url.href);
+            this.showPopup(config);
+        } catch (error) {
+            console.error('❌ Popup preview: could not load config', url.href, error);
         }
     }
 
@@ -60,7 +2202,9 @@ class LifeScribePopupSystem {
             const deviceType = this.getDeviceType();
             const pageUrl = window.location.href;
             
-            const response = await fetch(`${this.apiBase}/api/popup/active?page_url=${encodeURIComponent(pageUrl)}&device_type=${deviceType}`, {
+            const locale = encodeURIComponent(this.getLocale());
+            
+            const response = await fetch(`${this.apiBase}/api/popup/active?page_url=${encodeURIComponent(pageUrl)}&device_type=${deviceType}&locale=${locale}`, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -77,6 +2221,7 @@ class LifeScribePopupSystem {
             }
         } catch (error) {
             console.error('Error fetching active popups:', error);
+            this.emit('error', { id: null, stage: 'config', error: error.message });
             return [];
         }
     }
@@ -87,39 +2232,139 @@ class LifeScribePopupSystem {
     async setupPopupTriggers(popup) {
         try {
             // Get full popup configuration
-            const config = await this.getPopupConfig(popup.id);
-            if (!config) return;
+            const baseConfig = await this.getPopupConfig(popup.id);
+            if (!baseConfig) return;
 
-            this.config = config;
+            // Pick the A/B variant for this visitor before anything reads the config
+            const config = this.resolveVariant(baseConfig);
 
-            // Setup trigger based on type
-            switch (config.trigger_type) {
-                case 'time':
-                    this.setupTimeBasedTrigger(config);
-                    break;
-                case 'scroll':
-                    this.setupScrollBasedTrigger(config);
-                    break;
-                case 'exit-intent':
-                    this.setupExitIntentTrigger(config);
-                    break;
-                case 'page-load':
-                    this.setupPageLoadTrigger(config);
-                    break;
-                default:
-                    console.warn('Unknown trigger type:', config.trigger_type);
+            // Skip campaigns that have hit their frequency cap
+            if (!this.canShowPopup(config)) {
+                console.log('⏭️ Popup frequency cap reached:', config.name);
+                return;
             }
+
+            // Campaigns may target part of the audience; remember which rule let this visitor in
+            const targetingMatch = this.audience.match(config.targeting);
+            if (targetingMatch === null) {
+                console.log('🎯 Popup not targeted at this visitor:', config.name);
+                return;
+            }
+            config.targeting_match = config.targeting ? targetingMatch : null;
+
+            this.campaigns.set(config.id, config);
+
+            // Composite trigger_rules take precedence over the single trigger_type
+            const rule = config.trigger_rules || { type: config.trigger_type, value: config.trigger_value };
+
+            const cleanup = this.armTrigger(rule, () => {
+                this.disarmTriggers(config.id);
+                this.showPopup(config);
+            });
+            this.triggerCleanups.set(config.id, cleanup);
+            this.armedTriggers.set(config.id, rule);
+            this.emit('trigger-armed', { id: config.id, rule });
         } catch (error) {
             console.error('Error setting up popup triggers:', error);
         }
     }
 
+    /**
+     * Apply the visitor's variant to a popup config.
+     *
+     * A config may carry weighted variants whose keys override the base
+     * config (copy, templates, trigger timing, ...):
+     *
+     *   variants: [
+     *     { id: 'control', weight: 50 },
+     *     { id: 'short-headline', weight: 50, title: 'Save 20% today', trigger_value: 10000 }
+     *   ]
+     *
+     * For a multivariate test, list every combination as its own variant.
+     * Bucketing hashes a persistent visitor ID (or the session ID when
+     * `variant_bucketing: 'session'`), and the assignment is stored so it
+     * survives weight changes. `?ls_popup_variant=<variant>` or
+     * `?ls_popup_variant=<popup_id>:<variant>` forces a variant for QA.
+     */
+    resolveVariant(config) {
+        const variants = Array.isArray(config.variants) ? config.variants : [];
+        if (variants.length === 0) return config;
+
+        const bySession = config.variant_bucketing === 'session';
+        const storage = bySession ? sessionStorage : localStorage;
+        const assignments = this.readStoredJSON(storage, 'lifescribe_popup_variants');
+        const forcedId = this.getForcedVariantId(config.id);
+
+        let variant = variants.find(candidate => candidate.id === forcedId);
+
+        if (!variant) {
+            variant = variants.find(candidate => candidate.id === assignments[config.id]);
+        }
+
+        if (!variant) {
+            const seed = bySession ? this.sessionId : this.getOrCreateVisitorId();
+            variant = this.pickWeightedVariant(variants, `${seed}:${config.id}`);
+            assignments[config.id] = variant.id;
+
+            try {
+                storage.setItem('lifescribe_popup_variants', JSON.stringify(assignments));
+            } catch (error) {
+                console.warn('Unable to persist popup variant assignment:', error);
+            }
+        }
+
+        const { id, weight, ...overrides } = variant;
+        return { ...config, ...overrides, variant_id: id };
+    }
+
+    /**
+     * Deterministically map a seed onto the cumulative variant weights
+     */
+    pickWeightedVariant(variants, seed) {
+        const totalWeight = variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+        let point = this.hashToUnitInterval(seed) * totalWeight;
+
+        for (const variant of variants) {
+            point -= variant.weight ?? 1;
+            if (point < 0) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * 32-bit FNV-1a hash scaled to [0, 1)
+     */
+    hashToUnitInterval(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Read a `ls_popup_variant` QA override for this popup, if any
+     */
+    getForcedVariantId(popupId) {
+        const param = new URLSearchParams(window.location.search).get('ls_popup_variant');
+        if (!param) return null;
+
+        for (const entry of param.split(',')) {
+            const [target, variantId] = entry.includes(':') ? entry.split(':') : [null, entry];
+            if (target === null || target === String(popupId)) {
+                return variantId;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get popup configuration with template
      */
     async getPopupConfig(popupId) {
         try {
-            const response = await fetch(`${this.apiBase}/api/popup/config/${popupId}?session_id=${this.sessionId}`, {
+            const response = await fetch(`${this.apiBase}/api/popup/config/${popupId}?session_id=${this.sessionId}&locale=${encodeURIComponent(this.getLocale())}`, {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json'
@@ -136,92 +2381,390 @@ class LifeScribePopupSystem {
             }
         } catch (error) {
             console.error('Error fetching popup config:', error);
+            this.emit('error', { id: popupId, stage: 'config', error: error.message });
             return null;
         }
     }
 
     /**
-     * Setup time-based trigger
+     * Arm a trigger rule and call onFire once it is satisfied.
+     *
+     * A rule is either a single trigger, `{ type, value }`, or a composite,
+     * `{ all: [rules] }` (AND) / `{ any: [rules] }` (OR), which may nest:
+     *
+     *   { all: [{ type: 'scroll', value: 60 }, { type: 'time', value: 20000 }] }
+     *
+     * Each trigger latches once satisfied. Returns a cleanup function that
+     * removes every listener, timer and observer the rule created.
+     */
+    armTrigger(rule, onFire) {
+        let fired = false;
+        const fireOnce = () => {
+            if (fired) return;
+            fired = true;
+            onFire();
+        };
+
+        if (rule.all || rule.any) {
+            return this.armCompositeTrigger(rule, fireOnce);
+        }
+
+        switch (rule.type) {
+            case 'time':
+                return this.setupTimeBasedTrigger(rule.value, fireOnce);
+            case 'scroll':
+                return this.setupScrollBasedTrigger(rule.value, fireOnce);
+            case 'exit-intent':
+                return this.setupExitIntentTrigger(rule.value, fireOnce);
+            case 'mobile-exit-intent':
+                return this.setupMobileExitIntentTrigger(rule.value, fireOnce);
+            case 'page-load':
+                return this.setupPageLoadTrigger(rule.value, fireOnce);
+            case 'inactivity':
+            case 'idle':
+                return this.setupInactivityTrigger(rule.value, fireOnce);
+            case 'element-visible':
+                return this.setupElementVisibleTrigger(rule.value, fireOnce);
+            case 'click':
+                return this.setupClickTrigger(rule.value, fireOnce);
+            case 'section-time':
+                return this.setupSectionTimeTrigger(rule.value, fireOnce);
+            case 'rage-click':
+                return this.setupRageClickTrigger(rule.value, fireOnce);
+            default:
+                console.warn('Unknown trigger type:', rule.type);
+                return () => {};
+        }
+    }
+
+    /**
+     * AND/OR composition of trigger rules
+     */
+    armCompositeTrigger(rule, onFire) {
+        const isAll = Boolean(rule.all);
+        const children = rule.all || rule.any;
+        const satisfied = new Array(children.length).fill(false);
+
+        const cleanups = children.map((child, index) => this.armTrigger(child, () => {
+            satisfied[index] = true;
+            if (isAll ? satisfied.every(Boolean) : true) {
+                onFire();
+            }
+        }));
+
+        return () => cleanups.forEach(cleanup => cleanup());
+    }
+
+    /**
+     * Remove every trigger still armed for a popup
+     */
+    disarmTriggers(popupId) {
+        const cleanup = this.triggerCleanups.get(popupId);
+        if (cleanup) {
+            cleanup();
+            this.triggerCleanups.delete(popupId);
+        }
+        this.armedTriggers.delete(popupId);
+    }
+
+    /**
+     * Setup time-based trigger
+     */
+    setupTimeBasedTrigger(value, fire) {
+        const delay = value || 5000; // Default 5 seconds
+        const timer = setTimeout(fire, delay);
+
+        return () => clearTimeout(timer);
+    }
+
+    /**
+     * Setup scroll-based trigger
+     */
+    setupScrollBasedTrigger(value, fire) {
+        const threshold = value || 50; // Default 50%
+
+        const handleScroll = () => {
+            const scrollPercent = (window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
+
+            if (scrollPercent >= threshold) {
+                window.removeEventListener('scroll', handleScroll);
+                fire();
+            }
+        };
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        return () => window.removeEventListener('scroll', handleScroll);
+    }
+
+    /**
+     * Setup exit-intent trigger. Mouse exit only exists on desktop, so
+     * touch devices fall back to the mobile exit-intent heuristic.
+     */
+    setupExitIntentTrigger(value, fire) {
+        if (this.getDeviceType() !== 'desktop') {
+            return this.setupMobileExitIntentTrigger(value, fire);
+        }
+
+        const handleMouseLeave = (e) => {
+            // Only trigger if mouse is leaving towards the top of the page
+            if (e.clientY <= 0) {
+                document.removeEventListener('mouseleave', handleMouseLeave);
+                fire();
+            }
+        };
+
+        document.addEventListener('mouseleave', handleMouseLeave);
+        return () => document.removeEventListener('mouseleave', handleMouseLeave);
+    }
+
+    /**
+     * Mobile exit intent: a fast scroll back up towards the top after the
+     * visitor has read some of the page, or (opt-in with `back_button: true`)
+     * the browser back button, detected through a history entry pushed on
+     * the visitor's first tap or key press. Browsers skip entries pushed
+     * without a user gesture when going back, and scrolling doesn't count
+     * as one. The entry is taken off again when the trigger is disarmed, if
+     * the page is still on it.
+     */
+    setupMobileExitIntentTrigger(value, fire) {
+        const options = {
+            velocity: 1.5, // px per ms of upward scroll
+            min_scroll: window.innerHeight, // how far they must have read first
+            back_button: false,
+            ...(typeof value === 'object' ? value : {})
+        };
+
+        let lastY = window.scrollY;
+        let lastTime = performance.now();
+        let maxY = lastY;
+
+        const handleScroll = () => {
+            const now = performance.now();
+            const currentY = window.scrollY;
+            const velocity = (lastY - currentY) / Math.max(now - lastTime, 1);
+
+            maxY = Math.max(maxY, currentY);
+
+            if (velocity >= options.velocity && maxY >= options.min_scroll && currentY < window.innerHeight) {
+                fire();
+            }
+
+            lastY = currentY;
+            lastTime = now;
+        };
+
+        // Entries are tagged with this trigger's id so another trigger's
+        // sentinel is never mistaken for (or removed as) this one's
+        const sentinelId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        const isOwn = (state, role) => Boolean(state) &&
+            state.lifescribeExitIntent === role && state.lifescribeExitIntentId === sentinelId;
+        let pushed = false;
+
+        const gestures = ['pointerdown', 'keydown'];
+        const pushSentinel = () => {
+            gestures.forEach(type => window.removeEventListener(type, pushSentinel, true));
+
+            const state = history.state && typeof history.state === 'object' ? history.state : {};
+            history.replaceState({ ...state, lifescribeExitIntent: 'base', lifescribeExitIntentId: sentinelId }, '');
+            history.pushState({ lifescribeExitIntent: 'sentinel', lifescribeExitIntentId: sentinelId }, '');
+            pushed = true;
+        };
+
+        // Back from the sentinel lands on the marked entry below it. Other
+        // history moves, such as in-page anchor links, don't count.
+        const handlePopState = (event) => {
+            if (!pushed || !isOwn(event.state, 'base')) return;
+            pushed = false;
+            fire();
+        };
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+
+        if (options.back_button) {
+            gestures.forEach(type => window.addEventListener(type, pushSentinel, true));
+            window.addEventListener('popstate', handlePopState);
+        }
+
+        return () => {
+            window.removeEventListener('scroll', handleScroll);
+            if (!options.back_button) return;
+
+            gestures.forEach(type => window.removeEventListener(type, pushSentinel, true));
+            window.removeEventListener('popstate', handlePopState);
+            // Drop the sentinel so leaving the page takes one Back press again
+            if (pushed && isOwn(history.state, 'sentinel')) {
+                history.back();
+            }
+            pushed = false;
+        };
+    }
+
+    /**
+     * Setup page load trigger
+     */
+    setupPageLoadTrigger(value, fire) {
+        // Trigger immediately after page load
+        const timer = setTimeout(fire, 100);
+
+        return () => clearTimeout(timer);
+    }
+
+    /**
+     * Fire after `value` ms without mouse, keyboard, scroll or touch activity
      */
-    setupTimeBasedTrigger(config) {
-        const delay = config.trigger_value || 5000; // Default 5 seconds
-        
-        setTimeout(() => {
-            this.showPopup(config);
-        }, delay);
+    setupInactivityTrigger(value, fire) {
+        const idleTime = value || 30000; // Default 30 seconds
+        const activityEvents = ['mousemove', 'keydown', 'scroll', 'touchstart', 'click'];
+        let timer = setTimeout(fire, idleTime);
+
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(fire, idleTime);
+        };
+
+        activityEvents.forEach(event => window.addEventListener(event, resetTimer, { passive: true }));
+
+        return () => {
+            clearTimeout(timer);
+            activityEvents.forEach(event => window.removeEventListener(event, resetTimer));
+        };
     }
 
     /**
-     * Setup scroll-based trigger
+     * Fire when an element scrolls into view.
+     * value: selector string, or { selector, threshold }
      */
-    setupScrollBasedTrigger(config) {
-        const threshold = config.trigger_value || 50; // Default 50%
-        let triggered = false;
+    setupElementVisibleTrigger(value, fire) {
+        const { selector, threshold = 0.5 } = typeof value === 'string' ? { selector: value } : (value || {});
+        const element = selector && document.querySelector(selector);
 
-        const handleScroll = () => {
-            if (triggered) return;
+        if (!element || !('IntersectionObserver' in window)) {
+            console.warn('Element-visible trigger cannot observe:', selector);
+            return () => {};
+        }
 
-            const scrollPercent = (window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
-            
-            if (scrollPercent >= threshold) {
-                triggered = true;
-                this.showPopup(config);
-                window.removeEventListener('scroll', handleScroll);
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                observer.disconnect();
+                fire();
             }
-        };
+        }, { threshold });
 
-        window.addEventListener('scroll', handleScroll, { passive: true });
+        observer.observe(element);
+        return () => observer.disconnect();
     }
 
     /**
-     * Setup exit-intent trigger
+     * Fire when an element matching the selector is clicked
      */
-    setupExitIntentTrigger(config) {
-        let triggered = false;
-        let isMouseOut = false;
+    setupClickTrigger(value, fire) {
+        const selector = typeof value === 'string' ? value : value?.selector;
+        if (!selector) return () => {};
 
-        const handleMouseLeave = (e) => {
-            if (triggered) return;
-            
-            // Only trigger if mouse is leaving towards the top of the page
-            if (e.clientY <= 0) {
-                triggered = true;
-                this.showPopup(config);
-                document.removeEventListener('mouseleave', handleMouseLeave);
+        const handleClick = (e) => {
+            if (e.target.closest && e.target.closest(selector)) {
+                fire();
             }
         };
 
-        // Only works on desktop
-        if (this.getDeviceType() === 'desktop') {
-            document.addEventListener('mouseleave', handleMouseLeave);
+        document.addEventListener('click', handleClick, true);
+        return () => document.removeEventListener('click', handleClick, true);
+    }
+
+    /**
+     * Fire after a section has been on screen for a cumulative amount of time
+     * while the tab is visible. value: { selector, seconds }
+     */
+    setupSectionTimeTrigger(value, fire) {
+        const { selector, seconds = 10, threshold = 0.3 } = value || {};
+        const element = selector && document.querySelector(selector);
+
+        if (!element || !('IntersectionObserver' in window)) {
+            console.warn('Section-time trigger cannot observe:', selector);
+            return () => {};
         }
+
+        let isVisible = false;
+        let visibleTime = 0;
+        let lastTick = Date.now();
+
+        const observer = new IntersectionObserver((entries) => {
+            isVisible = entries[entries.length - 1].isIntersecting;
+            lastTick = Date.now();
+        }, { threshold });
+
+        const interval = setInterval(() => {
+            const now = Date.now();
+            if (isVisible && document.visibilityState === 'visible') {
+                visibleTime += now - lastTick;
+            }
+            lastTick = now;
+
+            if (visibleTime >= seconds * 1000) {
+                cleanup();
+                fire();
+            }
+        }, 500);
+
+        const cleanup = () => {
+            clearInterval(interval);
+            observer.disconnect();
+        };
+
+        observer.observe(element);
+        return cleanup;
     }
 
     /**
-     * Setup page load trigger
+     * Fire on repeated rapid clicks in the same spot, a sign of frustration.
+     * value: { clicks, within_ms, radius }
      */
-    setupPageLoadTrigger(config) {
-        // Trigger immediately after page load
-        setTimeout(() => {
-            this.showPopup(config);
-        }, 100);
+    setupRageClickTrigger(value, fire) {
+        const { clicks = 3, within_ms = 700, radius = 30 } = value || {};
+        let recentClicks = [];
+
+        const handleClick = (e) => {
+            const now = Date.now();
+            recentClicks = recentClicks.filter(click =>
+                now - click.time <= within_ms
+                && Math.hypot(click.x - e.clientX, click.y - e.clientY) <= radius
+            );
+            recentClicks.push({ time: now, x: e.clientX, y: e.clientY });
+
+            if (recentClicks.length >= clicks) {
+                recentClicks = [];
+                fire();
+            }
+        };
+
+        document.addEventListener('click', handleClick, true);
+        return () => document.removeEventListener('click', handleClick, true);
     }
 
     /**
-     * Show popup with configuration
+     * Show popup with configuration. Triggered popups wait while the
+     * system is suppressed; `force` (used by show()) does not.
      */
-    async showPopup(config) {
+    async showPopup(config, { force = false } = {}) {
+        if (this.isDestroyed || !this.hasMarketingConsent()) return;
+
         try {
-            // Check if already displayed
-            if (this.displayedPopups.has(config.id)) {
+            // Check if already displayed or capped
+            if (this.displayedPopups.has(config.id) || !this.canShowPopup(config)) {
                 return;
             }
 
-            // Track performance
-            if (!this.performanceMetrics.firstDisplay) {
-                this.performanceMetrics.firstDisplay = Date.now();
+            // Only one popup at a time; wait for the current one to close,
+            // never cover a support chat the visitor has opened, and keep
+            // forms back while offline since they couldn't be sent
+            if (this.currentPopup || window.lifescribeChat?.isOpen || (!force && this.isSuppressed()) || this.isHeldOffline(config)) {
+                this.enqueuePopup(config);
+                return;
             }
 
+            // Track performance
+            this.recordPerformance('firstDisplay', config.id);
+
             // Create popup element
             const popupElement = this.createPopupElement(config);
             
@@ -230,6 +2773,10 @@ class LifeScribePopupSystem {
             
             // Mark as displayed
             this.displayedPopups.add(config.id);
+            this.recordPopupHistory(config.id, history => ({
+                impressions: (history.impressions || 0) + 1,
+                last_shown: Date.now()
+            }));
             this.currentPopup = {
                 id: config.id,
                 element: popupElement,
@@ -242,16 +2789,22 @@ class LifeScribePopupSystem {
                 popupElement.classList.add('show');
             });
 
-            // Track impression
-            await this.trackEvent('impression', config.id);
+            // Modal semantics, focus management and escape key handling
+            this.currentPopup.dialog = new LifeScribeAccessibleDialog(popupElement, {
+                onEscape: () => this.closePopup('escape_key')
+            });
+            this.currentPopup.dialog.activate();
+            this.applyRejectedSubmission(config);
 
-            // Setup escape key handler
-            this.setupKeyboardHandlers();
+            // Track impression
+            this.trackEvent('impression', config.id, { targeting_rule: config.targeting_match || null });
+            this.emit('show', { id: config.id, variant_id: config.variant_id || null, targeting_rule: config.targeting_match || null });
 
             console.log('✅ Popup displayed:', config.name);
 
         } catch (error) {
             console.error('Error showing popup:', error);
+            this.emit('error', { id: config.id, stage: 'show', error: error.message });
         }
     }
 
@@ -263,16 +2816,24 @@ class LifeScribePopupSystem {
         const overlay = document.createElement('div');
         overlay.className = 'lifescribe-popup-overlay';
         overlay.id = `lifescribe-popup-${config.id}`;
+        overlay.lang = config.locale || this.getLocale();
+        overlay.dir = window.lifescribeI18n && window.lifescribeI18n.isRTL(overlay.lang) ? 'rtl' : 'ltr';
 
         // Process templates with configuration
         const htmlTemplate = this.processTemplate(config.html_template, config);
-        const cssTemplate = this.processTemplate(config.css_template, config);
+        const cssTemplate = this.processTemplate(config.css_template, config, 'css');
 
         // Add CSS
         if (cssTemplate) {
-            const style = document.createElement('style');
-            style.textContent = cssTemplate;
-            document.head.appendChild(style);
+            this.injectStyles(`lifescribe-popup-style-${config.id}`, cssTemplate);
+        }
+
+        if (config.form_schema) {
+            const context = this.getTemplateContext(config);
+            this.injectStyles(
+                `lifescribe-form-style-${config.id}`,
+                this.templateEngine.renderCSS(context.form_css_template, context)
+            );
         }
 
         // Set HTML content
@@ -285,22 +2846,52 @@ class LifeScribePopupSystem {
     }
 
     /**
-     * Process template with configuration values
+     * Render a popup template with the configuration as context.
+     * Any config key can be referenced; missing values fall back to
+     * LIFESCRIBE_TEMPLATE_DEFAULTS.
      */
-    processTemplate(template, config) {
+    processTemplate(template, config, type = 'html', extraContext = {}) {
         if (!template) return '';
 
-        return template
-            .replace(/{{popup_id}}/g, config.id)
-            .replace(/{{title}}/g, config.title || 'Join Our Community')
-            .replace(/{{subtitle}}/g, config.subtitle || 'Get exclusive updates and special offers')
-            .replace(/{{email_placeholder}}/g, config.email_placeholder || 'Enter your email address')
-            .replace(/{{submit_button_text}}/g, config.submit_button_text || 'Get My Discount')
-            .replace(/{{privacy_text}}/g, config.privacy_text || 'We respect your privacy. Unsubscribe at any time.')
-            .replace(/{{background_color}}/g, config.background_color || '#F9F3E9')
-            .replace(/{{text_color}}/g, config.text_color || '#1A5F7A')
-            .replace(/{{accent_color}}/g, config.accent_color || '#D4AC0D')
-            .replace(/{{border_radius}}/g, config.border_radius || '8');
+        const context = this.getTemplateContext(config, extraContext);
+
+        return type === 'css'
+            ? this.templateEngine.renderCSS(template, context)
+            : this.templateEngine.renderHTML(template, context);
+    }
+
+    /**
+     * Build the template context: defaults, then non-empty config values
+     */
+    getTemplateContext(config, extraContext = {}) {
+        const context = { ...LIFESCRIBE_TEMPLATE_DEFAULTS };
+
+        // Default copy follows the page language; campaign copy comes localized from the API
+        LIFESCRIBE_TRANSLATABLE_DEFAULTS.forEach(key => {
+            context[key] = lifescribeTranslate(`popup.${key}`, LIFESCRIBE_TEMPLATE_DEFAULTS[key]);
+        });
+
+        Object.entries(config).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                context[key] = value;
+            }
+        });
+
+        context.popup_id = config.id;
+
+        return { ...context, ...extraContext };
+    }
+
+    /**
+     * Add a <style> element once per id
+     */
+    injectStyles(id, css) {
+        if (document.getElementById(id)) return;
+
+        const style = document.createElement('style');
+        style.id = id;
+        style.textContent = css;
+        document.head.appendChild(style);
     }
 
     /**
@@ -319,6 +2910,14 @@ class LifeScribePopupSystem {
         // Form submission
         const form = overlay.querySelector('.lifescribe-popup-form');
         if (form) {
+            if (config.form_schema) {
+                this.schemaForms.set(form, new LifeScribePopupForm(form, config.form_schema, {
+                    idPrefix: `lifescribe-${config.id}`,
+                    isValidEmail: (value) => this.isValidEmail(value),
+                    onStepChange: (step) => this.trackEvent('form_step', config.id, { step })
+                }));
+            }
+
             form.addEventListener('submit', (e) => {
                 e.preventDefault();
                 this.handleFormSubmission(form, config);
@@ -359,150 +2958,236 @@ class LifeScribePopupSystem {
         }
     }
 
-    /**
-     * Setup keyboard handlers
-     */
-    setupKeyboardHandlers() {
-        const handleKeydown = (e) => {
-            if (e.key === 'Escape' && this.currentPopup) {
-                this.closePopup('escape_key');
-                document.removeEventListener('keydown', handleKeydown);
-            }
-        };
-
-        document.addEventListener('keydown', handleKeydown);
-    }
-
     /**
      * Handle form submission
      */
     async handleFormSubmission(form, config) {
+        // A second click while the first request is in flight must not submit twice
+        if (this.pendingSubmissions.has(form)) return;
+
         try {
-            const formData = new FormData(form);
-            const email = formData.get('email') || form.querySelector('#lifescribe-email')?.value;
+            const schemaForm = this.schemaForms.get(form);
+            let fields;
+
+            if (schemaForm) {
+                // Enter on an intermediate step moves forward instead of submitting
+                if (!schemaForm.isLastStep()) {
+                    schemaForm.next();
+                    return;
+                }
+                if (!schemaForm.validateAll()) {
+                    return;
+                }
+                fields = schemaForm.getValues();
+            } else {
+                fields = Object.fromEntries(new FormData(form).entries());
+            }
+
+            const email = fields.email || form.querySelector('#lifescribe-email')?.value;
 
             if (!email) {
-                this.showFormError('Email is required');
+                this.showFormError(lifescribeTranslate('popup.error.email_required', 'Email is required'));
                 return;
             }
 
             if (!this.isValidEmail(email)) {
-                this.showFormError('Please enter a valid email address');
+                this.showFormError(lifescribeTranslate('popup.validation.email', 'Please enter a valid email address'));
                 return;
             }
 
             // Track user interaction timing
-            if (!this.performanceMetrics.userInteraction) {
-                this.performanceMetrics.userInteraction = Date.now();
-            }
+            this.recordPerformance('userInteraction', config.id);
 
-            // Show loading state
+            // Show loading state, remembering the label to restore afterwards
             const submitButton = form.querySelector('.lifescribe-popup-submit');
-            const originalText = submitButton.textContent;
-            submitButton.textContent = 'Processing...';
-            submitButton.disabled = true;
+            if (submitButton) {
+                submitButton.dataset.originalText = submitButton.dataset.originalText || submitButton.textContent;
+                submitButton.textContent = lifescribeTranslate('popup.processing', 'Processing...');
+                submitButton.disabled = true;
+            }
+            this.pendingSubmissions.add(form);
 
             // Submit to API
             const submissionData = {
                 email: email,
+                fields: fields,
                 popup_id: config.id,
+                variant_id: config.variant_id || null,
                 session_id: this.sessionId,
                 page_url: window.location.href,
+                locale: this.getLocale(),
                 user_agent: navigator.userAgent,
                 referrer: document.referrer,
                 device_type: this.getDeviceType(),
                 time_to_action: this.currentPopup ? Date.now() - this.currentPopup.displayTime : 0
             };
 
-            const response = await fetch(`${this.apiBase}/api/popup/submit`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(submissionData)
-            });
-
-            const result = await response.json();
+            let outcome;
 
-            if (result.success) {
-                this.showSuccessMessage(result.discount_code);
-                setTimeout(() => this.closePopup('success'), 3000);
+            if (this.previewSource) {
+                console.log('🧪 Popup submission (not sent):', submissionData);
+                outcome = { status: config.preview_outcome || 'success', discount_code: config.preview_discount_code || 'PREVIEW10', retry_after: 30 };
             } else {
-                this.showFormError(result.error || 'Submission failed. Please try again.');
-                submitButton.textContent = originalText;
-                submitButton.disabled = false;
+                outcome = await this.submissionClient.submit(submissionData);
             }
 
+            this.pendingSubmissions.delete(form);
+            this.handleSubmissionOutcome(outcome, form, config, email);
+
         } catch (error) {
+            this.pendingSubmissions.delete(form);
             console.error('Form submission error:', error);
-            this.showFormError('Network error. Please try again.');
-            
-            const submitButton = form.querySelector('.lifescribe-popup-submit');
-            if (submitButton) {
-                submitButton.textContent = submitButton.dataset.originalText || 'Try Again';
-                submitButton.disabled = false;
+            this.emit('error', { id: config.id, stage: 'submit', error: error.message });
+            this.showFormError(lifescribeTranslate('popup.error.network', 'Network error. Please try again.'));
+            this.restoreSubmitButton(form);
+        }
+    }
+
+    /**
+     * Give each submission outcome its own UI state
+     */
+    handleSubmissionOutcome(outcome, form, config, email) {
+        if (this.currentPopup) {
+            this.currentPopup.outcome = outcome.status;
+        }
+        this.emit('submit', { id: config.id, variant_id: config.variant_id || null, status: outcome.status });
+
+        switch (outcome.status) {
+            // Nothing is recorded until the API accepts it (handleDeliveredSubmission)
+            case 'queued':
+                this.showSuccessMessage(outcome.discount_code, outcome.status);
+                setTimeout(() => this.closePopup('success'), 6000);
+                break;
+
+            case 'success':
+            case 'already_subscribed':
+            case 'double_opt_in_pending':
+                this.recordPopupHistory(config.id, () => ({ submitted_at: Date.now() }));
+                this.rememberSubmission(email, outcome.discount_code);
+                this.showSuccessMessage(outcome.discount_code, outcome.status);
+                // Messages that ask the visitor to do something stay up longer
+                setTimeout(() => this.closePopup('success'), outcome.status === 'success' ? 3000 : 6000);
+                break;
+
+            case 'rate_limited': {
+                const seconds = outcome.retry_after || 30;
+                this.showFormError(lifescribeTranslate('popup.error.rate_limited', {
+                    one: 'Too many attempts. Please wait {count} second and try again.',
+                    other: 'Too many attempts. Please wait {count} seconds and try again.'
+                }, { count: seconds }));
+
+                // Back to its label, but only clickable once the wait is over
+                this.restoreSubmitButton(form);
+                const submitButton = form.querySelector('.lifescribe-popup-submit');
+                if (submitButton) {
+                    submitButton.disabled = true;
+                    setTimeout(() => { submitButton.disabled = false; }, seconds * 1000);
+                }
+                break;
             }
+
+            case 'invalid_domain':
+                this.showFormError(outcome.suggestion
+                    ? lifescribeTranslate('popup.error.invalid_domain_suggestion', "We can't deliver email to that address. Did you mean {suggestion}?", { suggestion: outcome.suggestion })
+                    : lifescribeTranslate('popup.error.invalid_domain', "We can't deliver email to that domain. Please check for typos or use another address."));
+                this.restoreSubmitButton(form);
+                break;
+
+            default:
+                this.showFormError(outcome.error || lifescribeTranslate('popup.error.submit_failed', 'Submission failed. Please try again.'));
+                this.restoreSubmitButton(form);
+        }
+    }
+
+    restoreSubmitButton(form) {
+        const submitButton = form.querySelector('.lifescribe-popup-submit');
+        if (!submitButton) return;
+
+        submitButton.textContent = submitButton.dataset.originalText || lifescribeTranslate('popup.try_again', 'Try Again');
+        submitButton.disabled = false;
+    }
+
+    /**
+     * A queued submission reached the API, possibly on a later page. Only
+     * now does the popup count as submitted and the visitor as converted.
+     */
+    handleDeliveredSubmission(submission, outcome) {
+        if (!['success', 'already_subscribed', 'double_opt_in_pending'].includes(outcome.status)) {
+            console.warn('Queued popup submission was not accepted:', outcome.status, outcome.error);
+            this.emit('error', { id: submission.popup_id, stage: 'delivery', error: outcome.error || outcome.status });
+            this.showRejectedSubmission(submission, outcome);
+            return;
+        }
+
+        this.recordPopupHistory(submission.popup_id, () => ({ submitted_at: Date.now() }));
+        this.rememberSubmission(submission.email, outcome.discount_code);
+        if (this.currentPopup && this.currentPopup.id === submission.popup_id && this.currentPopup.outcome === 'queued') {
+            this.currentPopup.outcome = outcome.status;
+            this.showSuccessMessage(outcome.discount_code, outcome.status);
+        }
+        console.log('📬 Queued popup submission delivered');
+    }
+
+    /**
+     * Open the popup of a queued submission the API turned down again, so
+     * the visitor can correct it
+     */
+    async showRejectedSubmission(submission, outcome) {
+        this.rejectedSubmissions.set(submission.popup_id, { email: submission.email, outcome });
+
+        if (this.currentPopup?.id === submission.popup_id) {
+            this.closePopup('rejected');
+        }
+        this.displayedPopups.delete(submission.popup_id);
+
+        if (!(await this.show(submission.popup_id))) {
+            this.rejectedSubmissions.delete(submission.popup_id);
         }
     }
 
     /**
-     * Show success message in popup
+     * Fill in the email of a rejected submission and show why it failed
      */
-    showSuccessMessage(discountCode) {
+    applyRejectedSubmission(config) {
+        const rejected = this.rejectedSubmissions.get(config.id);
+        const form = this.currentPopup.element.querySelector('.lifescribe-popup-form');
+        if (!rejected || !form) return;
+
+        this.rejectedSubmissions.delete(config.id);
+        const input = form.querySelector('[name="email"], #lifescribe-email');
+        if (input) input.value = rejected.email;
+        this.handleSubmissionOutcome(rejected.outcome, form, config, rejected.email);
+    }
+
+    /**
+     * Show success message in popup. Outcomes other than plain success
+     * swap in their own title and subtitle (`<outcome>_title`,
+     * `<outcome>_subtitle`); custom templates can also branch on `outcome`.
+     */
+    showSuccessMessage(discountCode, outcome = 'success') {
         if (!this.currentPopup) return;
 
-        const content = this.currentPopup.element.querySelector('.lifescribe-popup-content');
+        const { config, element } = this.currentPopup;
+        const context = this.getTemplateContext(config, { discount_code: discountCode, outcome });
+        if (outcome !== 'success' && context[`${outcome}_title`]) {
+            context.success_title = context[`${outcome}_title`];
+            context.success_subtitle = context[`${outcome}_subtitle`];
+        }
+
+        const content = element.querySelector('.lifescribe-popup-content');
         if (content) {
-            content.innerHTML = `
-                <div class="lifescribe-success-message">
-                    <div class="lifescribe-success-icon">✓</div>
-                    <h2 class="lifescribe-success-title">Thank You!</h2>
-                    <p class="lifescribe-success-text">Your discount code:</p>
-                    <div class="lifescribe-discount-code">${discountCode}</div>
-                    <p class="lifescribe-success-subtitle">Check your email for details!</p>
-                </div>
-            `;
-
-            // Add success styles
-            const style = document.createElement('style');
-            style.textContent = `
-                .lifescribe-success-message {
-                    text-align: center;
-                }
-                .lifescribe-success-icon {
-                    font-size: 48px;
-                    color: #146152;
-                    margin-bottom: 20px;
-                }
-                .lifescribe-success-title {
-                    font-family: 'Playfair Display', serif;
-                    font-size: 28px;
-                    color: #1A5F7A;
-                    margin-bottom: 15px;
-                }
-                .lifescribe-success-text {
-                    font-family: 'Inter', sans-serif;
-                    color: #5D6D7E;
-                    margin-bottom: 10px;
-                }
-                .lifescribe-discount-code {
-                    font-family: 'Inter', sans-serif;
-                    font-size: 24px;
-                    font-weight: 600;
-                    color: #D4AC0D;
-                    background: rgba(212, 172, 13, 0.1);
-                    padding: 15px 20px;
-                    border-radius: 8px;
-                    margin: 15px 0;
-                    border: 2px dashed #D4AC0D;
-                }
-                .lifescribe-success-subtitle {
-                    font-family: 'Inter', sans-serif;
-                    color: #5D6D7E;
-                    font-size: 14px;
-                }
-            `;
-            document.head.appendChild(style);
+            content.innerHTML = this.templateEngine.renderHTML(context.success_template, context);
+
+            this.injectStyles(
+                `lifescribe-success-style-${config.id}`,
+                this.templateEngine.renderCSS(context.success_css_template, context)
+            );
+
+            // Keep focus inside the dialog now that the form is gone
+            if (this.currentPopup.dialog) {
+                this.currentPopup.dialog.focusInitial();
+                this.currentPopup.dialog.announce(content.textContent.replace(/\s+/g, ' ').trim());
+            }
         }
     }
 
@@ -510,71 +3195,205 @@ class LifeScribePopupSystem {
      * Show form error message
      */
     showFormError(message) {
+        if (!this.currentPopup) return;
+
         // Remove existing error
         const existingError = document.querySelector('.lifescribe-form-error');
         if (existingError) {
             existingError.remove();
         }
 
-        // Create error element
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'lifescribe-form-error';
-        errorDiv.textContent = message;
-        errorDiv.style.cssText = `
-            color: #7D1935;
-            background: rgba(125, 25, 53, 0.1);
-            padding: 10px;
-            border-radius: 4px;
-            margin: 10px 0;
-            font-size: 14px;
-            text-align: center;
-            border: 1px solid rgba(125, 25, 53, 0.2);
-        `;
+        const { config, element } = this.currentPopup;
+        const context = this.getTemplateContext(config, { message });
+
+        // Create error element from the configured template
+        const container = document.createElement('div');
+        container.innerHTML = this.templateEngine.renderHTML(context.error_template, context);
+        const errorDiv = container.firstElementChild;
+        if (!errorDiv) return;
+        errorDiv.classList.add('lifescribe-form-error');
+
+        this.injectStyles(
+            `lifescribe-error-style-${config.id}`,
+            this.templateEngine.renderCSS(context.error_css_template, context)
+        );
 
         // Insert before submit button
-        const form = this.currentPopup?.element.querySelector('.lifescribe-popup-form');
+        const form = element.querySelector('.lifescribe-popup-form');
         const submitButton = form?.querySelector('.lifescribe-popup-submit');
         if (form && submitButton) {
             form.insertBefore(errorDiv, submitButton);
         }
+
+        // Tie the error to the email field and announce it
+        const emailInput = form?.querySelector('input[type="email"], input[name="email"]');
+        if (emailInput) {
+            errorDiv.id = errorDiv.id || `${element.id}-error`;
+            emailInput.setAttribute('aria-invalid', 'true');
+            emailInput.setAttribute('aria-describedby', errorDiv.id);
+        }
+
+        if (this.currentPopup.dialog) {
+            this.currentPopup.dialog.announce(message, 'assertive');
+        }
     }
 
     /**
      * Close popup with reason
      */
     async closePopup(reason = 'manual') {
-        if (!this.currentPopup) return;
+        const popup = this.currentPopup;
+        if (!popup || popup.closing) return;
+
+        popup.closing = true;
+
+        // Release the focus trap and background right away so focus
+        // returns to the page while the popup animates out
+        if (popup.dialog) {
+            popup.dialog.deactivate();
+        }
 
         try {
             // Track close event
-            await this.trackEvent('close', this.currentPopup.id, {
+            this.trackEvent('close', popup.id, {
                 close_reason: reason,
-                time_displayed: Date.now() - this.currentPopup.displayTime
+                time_displayed: Date.now() - popup.displayTime
             });
 
             // Animate out
-            this.currentPopup.element.classList.remove('show');
+            popup.element.classList.remove('show');
 
-            // Remove after animation
-            setTimeout(() => {
-                if (this.currentPopup?.element?.parentNode) {
-                    this.currentPopup.element.parentNode.removeChild(this.currentPopup.element);
-                }
+        } catch (error) {
+            console.error('Error closing popup:', error);
+        }
+
+        // Remove after animation, then hand over to the next queued popup
+        setTimeout(() => {
+            if (popup.element.parentNode) {
+                popup.element.parentNode.removeChild(popup.element);
+            }
+            if (this.currentPopup === popup) {
                 this.currentPopup = null;
-            }, 300);
+            }
+            this.emit('close', { id: popup.id, variant_id: popup.config.variant_id || null, reason });
+            this.showNextQueuedPopup();
+        }, 300);
+    }
+
+    /**
+     * Queue a popup that triggered while another one was showing.
+     * Higher `priority` values are shown first; ties keep trigger order.
+     */
+    enqueuePopup(config) {
+        if (this.popupQueue.some(queued => queued.id === config.id)) return;
+
+        this.popupQueue.push(config);
+        this.popupQueue.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        console.log('⏳ Popup queued:', config.name);
+    }
+
+    /**
+     * Show the highest-priority queued popup that is still allowed.
+     * Popups held while offline stay queued without blocking the others.
+     */
+    showNextQueuedPopup() {
+        if (!this.hasMarketingConsent() || window.lifescribeChat?.isOpen || this.isSuppressed()) return;
+
+        this.popupQueue = this.popupQueue.filter(queued => !this.displayedPopups.has(queued.id) && this.canShowPopup(queued));
+
+        const next = this.popupQueue.find(queued => !this.isHeldOffline(queued));
+        if (next) {
+            this.popupQueue.splice(this.popupQueue.indexOf(next), 1);
+            this.showPopup(next);
+        }
+    }
+
+    /**
+     * Popups with a form post to the API, so they wait for a connection
+     */
+    isHeldOffline(config) {
+        if (navigator.onLine !== false || this.previewSource) return false;
+        return Boolean(config.form_schema) || /lifescribe-popup-form/.test(config.html_template || '');
+    }
+
+    /**
+     * Check the persisted frequency caps for a popup configuration.
+     *
+     * Supported config fields:
+     * - frequency_days: minimum number of days between impressions
+     * - max_impressions: total impressions allowed for this visitor
+     * - hide_after_submit: never show again once submitted (default true)
+     */
+    canShowPopup(config) {
+        if (this.previewSource) return true;
+
+        // Already answered; waiting for the connection to send it
+        if (this.submissionClient?.hasQueued(config.id)) {
+            return false;
+        }
+
+        const history = this.popupHistory[config.id];
+        if (!history) return true;
+
+        if (config.hide_after_submit !== false && history.submitted_at) {
+            return false;
+        }
+
+        if (config.max_impressions && (history.impressions || 0) >= config.max_impressions) {
+            return false;
+        }
+
+        if (config.frequency_days && history.last_shown) {
+            const daysSinceShown = (Date.now() - history.last_shown) / (24 * 60 * 60 * 1000);
+            if (daysSinceShown < config.frequency_days) {
+                return false;
+            }
+        }
+
+        return true;
+    }
 
+    /**
+     * Load per-popup impression/submission history from localStorage
+     */
+    loadPopupHistory() {
+        try {
+            return JSON.parse(localStorage.getItem('lifescribe_popup_history')) || {};
         } catch (error) {
-            console.error('Error closing popup:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Merge an update into a popup's stored history
+     */
+    recordPopupHistory(popupId, update) {
+        // Previews must not count against a designer's real frequency caps
+        if (this.previewSource) return;
+
+        const history = this.popupHistory[popupId] || {};
+        this.popupHistory[popupId] = { ...history, ...update(history) };
+
+        try {
+            localStorage.setItem('lifescribe_popup_history', JSON.stringify(this.popupHistory));
+        } catch (error) {
+            console.warn('Unable to persist popup history:', error);
         }
     }
 
     /**
-     * Track analytics event
+     * Track analytics event. Events are buffered and sent in batches,
+     * so callers never wait on the network.
      */
-    async trackEvent(eventType, popupId, additionalData = {}) {
+    trackEvent(eventType, popupId, additionalData = {}) {
+        // Tracking sends the session ID and user agent, so it needs analytics consent
+        // (preview mode only logs events locally)
+        if (!this.previewSource && !this.hasConsent('analytics')) return;
+
         try {
             const eventData = {
                 popup_id: popupId,
+                variant_id: this.campaigns.get(popupId)?.variant_id || null,
                 event_type: eventType,
                 session_id: this.sessionId,
                 page_url: window.location.href,
@@ -584,19 +3403,29 @@ class LifeScribePopupSystem {
                 ...additionalData
             };
 
-            await fetch(`${this.apiBase}/api/popup/track`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(eventData)
-            });
+            this.eventTransport.enqueue(eventData);
 
         } catch (error) {
             console.error('Error tracking event:', error);
         }
     }
 
+    /**
+     * Note the first time a milestone happens on this page and report how
+     * long after load it took (first popup shown, first form submitted)
+     */
+    recordPerformance(metric, popupId) {
+        if (this.performanceMetrics[metric]) return;
+        this.performanceMetrics[metric] = Date.now();
+
+        if (this.previewSource || !window.lifescribeAnalytics) return;
+        window.lifescribeAnalytics.track('popup_performance', {
+            metric: metric === 'firstDisplay' ? 'first_display' : 'first_interaction',
+            value: this.performanceMetrics[metric] - this.performanceMetrics.loadStart,
+            popup_id: popupId
+        });
+    }
+
     /**
      * Utility functions
      */
@@ -609,6 +3438,65 @@ class LifeScribePopupSystem {
         return sessionId;
     }
 
+    /**
+     * Keep the submitted email and any discount code for this tab so signup
+     * links can prefill them and pricing can show the discount
+     */
+    rememberSubmission(email, discountCode) {
+        this.capturedEmail = email;
+
+        if (!this.previewSource) {
+            this.audience.recordConversion();
+            try {
+                sessionStorage.setItem('lifescribe_popup_email', email);
+                if (discountCode) {
+                    sessionStorage.setItem('lifescribe_popup_discount', discountCode);
+                }
+            } catch (error) {
+                console.warn('Could not store popup submission:', error);
+            }
+        }
+
+        if (discountCode) {
+            document.dispatchEvent(new CustomEvent('lifescribe:popup-discount', {
+                detail: { code: discountCode }
+            }));
+        }
+        window.lifescribeCTA?.updateLinks();
+    }
+
+    /**
+     * Persistent visitor ID used for sticky variant bucketing
+     */
+    getOrCreateVisitorId() {
+        try {
+            let visitorId = localStorage.getItem('lifescribe_visitor_id');
+            if (!visitorId) {
+                visitorId = 'visitor_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+                localStorage.setItem('lifescribe_visitor_id', visitorId);
+            }
+            return visitorId;
+        } catch (error) {
+            return this.sessionId;
+        }
+    }
+
+    readCapturedEmail() {
+        try {
+            return sessionStorage.getItem('lifescribe_popup_email');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readStoredJSON(storage, key) {
+        try {
+            return JSON.parse(storage.getItem(key)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
     detectApiBase() {
         // In development, use localhost:3000
         if (window.location.hostname === 'localhost' || window.location.hostname.includes('127.0.0.1')) {
@@ -630,10 +3518,7 @@ class LifeScribePopupSystem {
     }
 
     getDeviceType() {
-        const userAgent = navigator.userAgent;
-        if (/iPad/.test(userAgent)) return 'tablet';
-        if (/Mobile|Android|iPhone/.test(userAgent)) return 'mobile';
-        return 'desktop';
+        return LifeScribeAudience.getDeviceClass();
     }
 
     isValidEmail(email) {
@@ -648,10 +3533,9 @@ class LifeScribePopupSystem {
     }
 }
 
-// Auto-initialize when script loads
 window.LifeScribePopupSystem = LifeScribePopupSystem;
 
-// Initialize popup system
+// Initialize popup system (starts itself unless configured with autoInit: false)
 if (typeof window !== 'undefined') {
     window.lifescribePopups = new LifeScribePopupSystem();
 }
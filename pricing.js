@@ -0,0 +1,309 @@
+/**
+ * LifeScribe Pricing
+ * Renders the #pricing cards from data/plans.json: monthly/annual toggle
+ * with savings, prices in the visitor's currency formatted for their
+ * locale, a "most popular" highlight, dated promotions and a badge for a
+ * discount code won from a popup this session.
+ *
+ * Plan text can be translated per locale with a `translations` object on
+ * each plan, discount and promotion (see i18n.js `localize()`).
+ *
+ * The static cards in index.html stay in place if the plan file can't load.
+ * `?billing=annual` preselects annual prices and `?currency=GBP` forces a
+ * currency (handy for campaign links and QA).
+ */
+
+class LifeScribePricing {
+    constructor(options = {}) {
+        this.container = null;
+        this.data = null;
+        this.params = new URLSearchParams(window.location.search);
+        this.billing = this.params.get('billing') === 'annual' ? 'annual' : 'monthly';
+        this.i18n = window.lifescribeI18n;
+        this.locale = options.locale || this.getBrowserLocale();
+        this.currency = null;
+        this.toggle = null;
+        this.status = null;
+        this.discountCode = this.readDiscountCode();
+
+        // Popups announce a won discount code so the badges appear right away
+        document.addEventListener('lifescribe:popup-discount', (event) => {
+            this.discountCode = event.detail && event.detail.code;
+            this.render();
+        });
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            if (!this.data) return;
+            this.renderToggle();
+            this.render();
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.container = document.querySelector('[data-pricing-src]');
+        if (!this.container) return;
+
+        try {
+            const response = await fetch(this.container.dataset.pricingSrc);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            this.data = await response.json();
+            await this.i18n.ready;
+        } catch (error) {
+            console.warn('Plan data unavailable, keeping static pricing:', error);
+            return;
+        }
+
+        this.currency = this.detectCurrency();
+        this.renderToggle();
+        this.render();
+        console.log(`💲 Pricing rendered in ${this.currency} for ${this.getFormatLocale()}`);
+    }
+
+    /**
+     * The browser's own locale carries the region (en-GB, fr-CA) used to pick
+     * a currency; the page language only decides the words
+     */
+    getBrowserLocale() {
+        return (navigator.languages && navigator.languages[0]) || navigator.language || 'en-US';
+    }
+
+    /**
+     * Locale for number formatting: the page language, with the browser's
+     * region when it speaks the same language (so es-MX keeps its format)
+     */
+    getFormatLocale() {
+        const language = this.i18n.locale.split('-')[0];
+        return this.locale.split('-')[0] === language ? this.locale : this.i18n.locale;
+    }
+
+    t(key, fallback, params) {
+        return this.i18n.t(`pricing.${key}`, fallback, params);
+    }
+
+    /**
+     * URL override, then the region of the visitor's locale, then the default
+     */
+    detectCurrency() {
+        const supported = this.getSupportedCurrencies();
+        const forced = (this.params.get('currency') || '').toUpperCase();
+        if (supported.includes(forced)) return forced;
+
+        let region = null;
+        try {
+            region = new Intl.Locale(this.locale).maximize().region;
+        } catch (error) {
+            region = this.locale.split('-')[1];
+        }
+
+        const currency = region && this.data.currency_by_region[region.toUpperCase()];
+        return supported.includes(currency) ? currency : this.data.default_currency;
+    }
+
+    getSupportedCurrencies() {
+        const first = this.data.plans[0];
+        return first ? Object.keys(first.prices) : [this.data.default_currency];
+    }
+
+    /**
+     * Change locale (and the currency that follows from it) and re-render
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        if (!this.data) return;
+        this.currency = this.detectCurrency();
+        this.render();
+    }
+
+    readDiscountCode() {
+        try {
+            return sessionStorage.getItem('lifescribe_popup_discount');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    formatPrice(amount) {
+        return new Intl.NumberFormat(this.getFormatLocale(), {
+            style: 'currency',
+            currency: this.currency
+        }).format(amount);
+    }
+
+    getPrices(plan) {
+        return plan.prices[this.currency] || plan.prices[this.data.default_currency];
+    }
+
+    /**
+     * Percent saved by paying yearly instead of 12 monthly payments
+     */
+    getAnnualSavings(plan) {
+        const prices = this.getPrices(plan);
+        if (!prices || !prices.monthly || !prices.annual) return 0;
+        return Math.max(0, Math.round((1 - prices.annual / (prices.monthly * 12)) * 100));
+    }
+
+    renderToggle() {
+        if (this.toggle) {
+            this.toggle.remove();
+            this.status.remove();
+            this.toggle = null;
+        }
+
+        const hasAnnual = this.data.plans.some(plan => this.getAnnualSavings(plan) > 0);
+        if (!hasAnnual) {
+            this.billing = 'monthly';
+            return;
+        }
+
+        const bestSavings = Math.max(...this.data.plans.map(plan => this.getAnnualSavings(plan)));
+
+        const toggle = document.createElement('fieldset');
+        toggle.className = 'billing-toggle';
+        const escape = lifescribeEscapeHTML;
+        toggle.innerHTML = `
+            <legend class="visually-hidden">${escape(this.t('billing_period', 'Billing period'))}</legend>
+            <input type="radio" id="billing-monthly" name="billing-period" value="monthly">
+            <label for="billing-monthly">${escape(this.t('monthly', 'Monthly'))}</label>
+            <input type="radio" id="billing-annual" name="billing-period" value="annual">
+            <label for="billing-annual">${escape(this.t('annual', 'Annual'))} <span class="billing-savings">${escape(this.t('save_up_to', 'Save up to {percent}%', { percent: bestSavings }))}</span></label>
+        `;
+        toggle.querySelector(`input[value="${this.billing}"]`).checked = true;
+
+        toggle.addEventListener('change', (event) => {
+            this.billing = event.target.value;
+            this.render();
+            this.announce(this.billing === 'annual'
+                ? this.t('showing_annual', 'Showing annual prices')
+                : this.t('showing_monthly', 'Showing monthly prices'));
+
+            if (window.lifescribeAnalytics) {
+                window.lifescribeAnalytics.track('billing_period_change', { billing: this.billing });
+            }
+        });
+
+        this.status = document.createElement('p');
+        this.status.className = 'visually-hidden';
+        this.status.setAttribute('aria-live', 'polite');
+
+        this.toggle = toggle;
+        this.container.before(toggle, this.status);
+    }
+
+    announce(message) {
+        if (this.status) this.status.textContent = message;
+    }
+
+    /**
+     * Promotions from the plan file that are running today for this plan and period
+     */
+    getActivePromotion(plan) {
+        const now = Date.now();
+        return (this.data.promotions || []).map(promo => this.i18n.localize(promo)).find(promo =>
+            (!promo.plans || promo.plans.includes(plan.id))
+            && (!promo.period || promo.period === this.billing)
+            && (!promo.starts_at || Date.parse(promo.starts_at) <= now)
+            && (!promo.ends_at || now < Date.parse(promo.ends_at) + 24 * 60 * 60 * 1000)
+        );
+    }
+
+    /**
+     * Badge text for the session's popup discount code, if it applies to this plan
+     */
+    getDiscountBadge(plan) {
+        if (!this.discountCode) return null;
+
+        const prices = this.getPrices(plan);
+        if (!prices || !prices[this.billing]) return null;
+
+        const discount = this.i18n.localize((this.data.discounts || {})[this.discountCode.toUpperCase()]);
+        if (!discount) {
+            return this.t('code_at_signup', 'Code {code} applied at signup', { code: this.discountCode });
+        }
+        if (discount.plans && !discount.plans.includes(plan.id)) return null;
+        if (discount.periods && !discount.periods.includes(this.billing)) return null;
+
+        return `${this.discountCode}: ${discount.label}`;
+    }
+
+    describeLimits(limits = {}) {
+        if (!('chapters' in limits)) return null;
+        if (limits.chapters === null) return this.t('limit_unlimited', 'Unlimited chapters');
+
+        const count = limits.chapters;
+        if (limits.period === 'month') {
+            return this.t('limit_month', { one: '{count} total chapter/month', other: '{count} total chapters/month' }, { count });
+        }
+        return this.t('limit_total', { one: '{count} AI-generated chapter', other: '{count} AI-generated chapters' }, { count });
+    }
+
+    render() {
+        if (!this.container || !this.data) return;
+
+        this.container.innerHTML = this.data.plans.map(plan => this.renderCard(plan)).join('');
+        // Cards arrive after the scroll animation observer has run
+        this.container.querySelectorAll('.pricing-card').forEach(card => card.classList.add('visible'));
+    }
+
+    renderCard(sourcePlan) {
+        const escape = lifescribeEscapeHTML;
+        const plan = this.i18n.localize(sourcePlan);
+        const prices = this.getPrices(plan);
+        const amount = prices[this.billing];
+        const savings = this.billing === 'annual' ? this.getAnnualSavings(plan) : 0;
+        const promotion = this.getActivePromotion(plan);
+        const discountBadge = this.getDiscountBadge(plan);
+        const limits = this.describeLimits(plan.limits);
+
+        let price = escape(this.t('free', 'FREE'));
+        let priceNote = '';
+        if (amount) {
+            const period = this.billing === 'annual' ? this.t('per_year', '/yr') : this.t('per_month', '/mo');
+            price = `${this.formatPrice(amount)}<span class="plan-price-period">${escape(period)}</span>`;
+            if (this.billing === 'annual') {
+                priceNote = this.t('billed_yearly', '{price}/mo billed yearly', { price: this.formatPrice(amount / 12) });
+                if (savings) {
+                    priceNote += ` · ${this.t('save', 'Save {percent}%', { percent: savings })}`;
+                }
+            }
+        }
+
+        const promotionText = promotion && (promotion.ends_at
+            ? `${promotion.label} · ${this.t('ends', 'Ends {date}', { date: this.i18n.formatDate(`${promotion.ends_at}T00:00:00`, { month: 'short', day: 'numeric' }) })}`
+            : promotion.label);
+
+        const badges = [
+            plan.popular ? `<span class="plan-badge plan-badge-popular">${escape(this.t('popular', 'Most popular'))}</span>` : '',
+            promotion ? `<span class="plan-badge plan-badge-promo">${escape(promotionText)}</span>` : '',
+            discountBadge ? `<span class="plan-badge plan-badge-discount">${escape(discountBadge)}</span>` : ''
+        ].join('');
+
+        const features = [limits, ...(plan.features || [])]
+            .filter(Boolean)
+            .map(feature => `<li>${escape(feature)}</li>`)
+            .join('');
+
+        return `
+            <div class="pricing-card${plan.popular ? ' popular' : ''}">
+                ${badges ? `<div class="plan-badges">${badges}</div>` : ''}
+                <div class="plan-name">${escape(plan.name)}</div>
+                <div class="plan-price">${price}</div>
+                ${priceNote ? `<p class="plan-price-note">${escape(priceNote)}</p>` : ''}
+                <hr class="plan-divider">
+                <p class="plan-description">${escape(plan.description)}</p>
+                <ul class="plan-features">${features}</ul>
+                <button type="button" class="plan-button" data-cta="pricing" data-plan="${escape(plan.id)}" data-billing="${this.billing}">
+                    <span class="plan-button-text">${escape(plan.cta_label || this.t('sign_up', 'Sign Up'))}</span>
+                </button>
+            </div>
+        `;
+    }
+}
+
+window.LifeScribePricing = LifeScribePricing;
+window.lifescribePricing = new LifeScribePricing();
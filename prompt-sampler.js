@@ -0,0 +1,395 @@
+/**
+ * LifeScribe Prompt Sampler
+ * A taste of Legacy Quest in the "Not Sure What to Write?" section: the
+ * prompt of the day from a bundled prompt bank (`data-prompts-src`, see
+ * data/prompts.json), a shuffle filtered by theme and a small writing area.
+ *
+ * Everyone gets the same prompt on the same calendar day, walking through
+ * the bank in order. The draft autosaves to localStorage
+ * (`lifescribe_draft`) so it survives a reload, and can be dictated where
+ * the browser supports speech recognition. "Continue in LifeScribe" is a
+ * signup CTA: the prompt goes along through `lifescribe_prompt` (see
+ * timeline.js) and the CTA router adds the draft.
+ *
+ * The draft never leaves the browser except in that signup link; analytics
+ * only learn that writing started.
+ */
+
+class LifeScribePromptSampler {
+    constructor(options = {}) {
+        this.root = null;
+        this.themes = [];
+        this.prompts = [];
+        this.i18n = window.lifescribeI18n;
+        this.draftKey = 'lifescribe_draft';
+        this.promptKey = 'lifescribe_prompt';
+        this.maxLength = options.maxLength || 2000;
+        this.saveDelay = options.saveDelay || 500;
+        this.current = null;
+        this.isPromptOfTheDay = false;
+        this.theme = '';
+        this.saveTimer = null;
+        this.draftStarted = false;
+        this.recognition = null;
+        this.Recognition = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.root = document.querySelector('[data-prompts-src]');
+        if (!this.root) return;
+
+        try {
+            const response = await fetch(this.root.dataset.promptsSrc);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            const data = await response.json();
+            this.themes = data.themes || [];
+            this.prompts = data.prompts || [];
+            await this.i18n.ready;
+        } catch (error) {
+            console.warn('Prompt bank unavailable:', error);
+            return;
+        }
+
+        if (!this.prompts.length) return;
+
+        this.render();
+        this.restore();
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            this.stopDictation();
+            this.translate();
+        });
+
+        console.log(`✍️ Prompt sampler ready with ${this.prompts.length} prompts`);
+    }
+
+    t(key, fallback, params) {
+        return this.i18n.t(`prompts.${key}`, fallback, params);
+    }
+
+    render() {
+        this.root.innerHTML = `
+            <div class="prompt-card">
+                <p class="prompt-eyebrow"></p>
+                <p class="prompt-title" id="prompt-sampler-title"></p>
+                <p class="prompt-text" id="prompt-sampler-text"></p>
+            </div>
+            <div class="prompt-controls">
+                <label for="prompt-theme" class="visually-hidden"></label>
+                <select id="prompt-theme" class="prompt-theme"></select>
+                <button type="button" class="prompt-shuffle"></button>
+            </div>
+            <p class="visually-hidden" aria-live="polite"></p>
+            <label for="prompt-draft" class="prompt-draft-label"></label>
+            <textarea id="prompt-draft" class="prompt-draft" rows="5" maxlength="${this.maxLength}" aria-describedby="prompt-sampler-title prompt-sampler-text"></textarea>
+            <div class="prompt-actions">
+                <button type="button" class="prompt-dictate" aria-pressed="false" hidden></button>
+                <button type="button" class="prompt-discard" hidden></button>
+                <span class="prompt-draft-status" aria-live="polite"></span>
+            </div>
+            <a class="prompt-continue" data-cta="legacy_quest" href="#"></a>
+        `;
+
+        this.eyebrow = this.root.querySelector('.prompt-eyebrow');
+        this.title = this.root.querySelector('.prompt-title');
+        this.text = this.root.querySelector('.prompt-text');
+        this.themeSelect = this.root.querySelector('.prompt-theme');
+        this.shuffleButton = this.root.querySelector('.prompt-shuffle');
+        this.announcer = this.root.querySelector('.visually-hidden[aria-live]');
+        this.draft = this.root.querySelector('.prompt-draft');
+        this.dictateButton = this.root.querySelector('.prompt-dictate');
+        this.discardButton = this.root.querySelector('.prompt-discard');
+        this.status = this.root.querySelector('.prompt-draft-status');
+        this.continueLink = this.root.querySelector('.prompt-continue');
+
+        this.themeSelect.addEventListener('change', () => {
+            this.theme = this.themeSelect.value;
+            this.shuffle();
+        });
+        this.shuffleButton.addEventListener('click', () => this.shuffle());
+        this.draft.addEventListener('input', () => this.handleInput());
+        this.discardButton.addEventListener('click', () => this.discardDraft());
+        // Runs before the CTA router's document listener builds the signup URL
+        this.continueLink.addEventListener('click', () => {
+            this.saveDraft();
+            this.selectPrompt();
+        });
+
+        if (this.Recognition) {
+            this.dictateButton.hidden = false;
+            this.dictateButton.addEventListener('click', () => {
+                if (this.recognition) {
+                    this.stopDictation();
+                } else {
+                    this.startDictation();
+                }
+            });
+        }
+
+        this.current = this.getPromptOfTheDay();
+        this.isPromptOfTheDay = true;
+        this.translate();
+    }
+
+    translate() {
+        this.root.querySelector('label[for="prompt-theme"]').textContent = this.t('theme_label', 'Theme');
+        this.root.querySelector('.prompt-draft-label').textContent = this.t('draft_label', 'Try writing a few lines');
+        this.shuffleButton.textContent = this.t('shuffle', 'Another prompt');
+        this.discardButton.textContent = this.t('discard', 'Discard draft');
+        this.continueLink.textContent = this.t('continue', 'Continue in LifeScribe');
+        this.draft.placeholder = this.t('draft_placeholder', 'Start with whatever comes to mind…');
+        this.renderDictateButton();
+
+        this.themeSelect.innerHTML = '';
+        [{ id: '', label: this.t('all_themes', 'All themes') }, ...this.themes.map(theme => this.i18n.localize(theme))].forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.id;
+            option.textContent = theme.label;
+            option.selected = theme.id === this.theme;
+            this.themeSelect.appendChild(option);
+        });
+
+        this.renderPrompt();
+    }
+
+    /**
+     * Same prompt for everyone on a given local calendar day, moving one
+     * step through the bank each day
+     */
+    getPromptOfTheDay(date = new Date()) {
+        const day = Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+        return this.prompts[day % this.prompts.length];
+    }
+
+    getTheme(id) {
+        const theme = this.themes.find(item => item.id === id);
+        return theme ? this.i18n.localize(theme) : null;
+    }
+
+    renderPrompt() {
+        const prompt = this.i18n.localize(this.current);
+        const theme = this.getTheme(prompt.theme);
+
+        this.eyebrow.textContent = [
+            this.isPromptOfTheDay ? this.t('of_the_day', "Today's prompt") : null,
+            theme && theme.label
+        ].filter(Boolean).join(' · ');
+        this.title.textContent = prompt.title;
+        this.text.textContent = prompt.text;
+    }
+
+    /**
+     * Random prompt from the chosen theme, never the one already showing
+     */
+    shuffle() {
+        const pool = this.prompts.filter(prompt => !this.theme || prompt.theme === this.theme);
+        const choices = pool.length > 1 ? pool.filter(prompt => prompt !== this.current) : pool;
+        if (!choices.length) return;
+
+        this.current = choices[Math.floor(Math.random() * choices.length)];
+        this.isPromptOfTheDay = false;
+        this.renderPrompt();
+
+        const prompt = this.i18n.localize(this.current);
+        this.announcer.textContent = `${prompt.title}. ${prompt.text}`;
+
+        // A draft in progress now answers this prompt
+        if (this.draft.value.trim()) {
+            this.saveDraft();
+            this.selectPrompt();
+        }
+
+        if (window.lifescribeAnalytics) {
+            window.lifescribeAnalytics.track('prompt_shuffle', { theme: this.theme || 'all' });
+        }
+    }
+
+    /**
+     * Bring back a draft from an earlier visit, with the prompt it answers
+     */
+    restore() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.draftKey));
+        } catch (error) {
+            return;
+        }
+        if (!saved || !saved.text) return;
+
+        const prompt = this.prompts.find(item => item.id === saved.prompt_id);
+        if (prompt) {
+            this.current = prompt;
+            this.isPromptOfTheDay = prompt === this.getPromptOfTheDay();
+            this.renderPrompt();
+        }
+
+        this.draft.value = String(saved.text).slice(0, this.maxLength);
+        this.draftStarted = true;
+        this.discardButton.hidden = false;
+        this.setStatus(this.t('restored', 'Your draft is back where you left it'));
+    }
+
+    handleInput() {
+        this.discardButton.hidden = !this.draft.value;
+        this.setStatus('');
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveDraft(true), this.saveDelay);
+
+        if (!this.draftStarted && this.draft.value.trim()) {
+            this.draftStarted = true;
+            this.selectPrompt();
+            if (window.lifescribeAnalytics) {
+                window.lifescribeAnalytics.track('draft_start', {
+                    prompt_id: this.current.id,
+                    dictation: Boolean(this.recognition)
+                });
+            }
+        }
+    }
+
+    saveDraft(announce = false) {
+        clearTimeout(this.saveTimer);
+        const text = this.draft.value;
+
+        try {
+            if (text.trim()) {
+                localStorage.setItem(this.draftKey, JSON.stringify({
+                    prompt_id: this.current.id,
+                    text,
+                    saved_at: Date.now()
+                }));
+            } else {
+                localStorage.removeItem(this.draftKey);
+            }
+        } catch (error) {
+            console.warn('Could not save draft:', error);
+            if (announce) this.setStatus(this.t('save_failed', "Your browser isn't letting us save this draft"));
+            return;
+        }
+
+        if (announce && text.trim()) this.setStatus(this.t('saved', 'Draft saved'));
+    }
+
+    discardDraft() {
+        this.stopDictation();
+        this.draft.value = '';
+        this.draftStarted = false;
+        this.discardButton.hidden = true;
+        this.saveDraft();
+        this.setStatus(this.t('discarded', 'Draft discarded'));
+        this.draft.focus();
+    }
+
+    /**
+     * Make the prompt on screen the one signup starts from
+     */
+    selectPrompt() {
+        const prompt = this.i18n.localize(this.current);
+        const selected = { id: prompt.id, text: prompt.text, source: 'legacy_quest' };
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.promptKey));
+            if (stored && stored.id === selected.id && stored.source === selected.source && stored.text === selected.text) return;
+            sessionStorage.setItem(this.promptKey, JSON.stringify(selected));
+        } catch (error) {
+            console.warn('Could not store the chosen prompt:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('lifescribe:prompt-selected', { detail: { prompt: selected } }));
+    }
+
+    setStatus(message) {
+        this.status.textContent = message;
+    }
+
+    renderDictateButton() {
+        const dictating = Boolean(this.recognition);
+        this.dictateButton.setAttribute('aria-pressed', String(dictating));
+        this.dictateButton.textContent = dictating
+            ? this.t('dictate_stop', 'Stop dictating')
+            : this.t('dictate', 'Dictate');
+    }
+
+    /**
+     * Speech recognition in the page language, using the browser's regional
+     * variant when it speaks the same language
+     */
+    getRecognitionLanguage() {
+        const browser = navigator.language || '';
+        return browser.split('-')[0] === this.i18n.locale.split('-')[0] ? browser : this.i18n.locale;
+    }
+
+    startDictation() {
+        const recognition = new this.Recognition();
+        recognition.lang = this.getRecognitionLanguage();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+
+        recognition.onresult = (event) => {
+            let interim = '';
+            for (let index = event.resultIndex; index < event.results.length; index++) {
+                const result = event.results[index];
+                if (result.isFinal) {
+                    this.appendText(result[0].transcript);
+                } else {
+                    interim += result[0].transcript;
+                }
+            }
+            this.setStatus(interim ? `${interim.trim()}…` : '');
+        };
+
+        recognition.onerror = (event) => {
+            this.setStatus(event.error === 'not-allowed' || event.error === 'service-not-allowed'
+                ? this.t('dictate_blocked', 'Microphone access is blocked. You can still type your story.')
+                : this.t('dictate_error', "Dictation stopped. Try again, or keep typing."));
+        };
+
+        recognition.onend = () => {
+            if (this.recognition !== recognition) return;
+            this.recognition = null;
+            this.renderDictateButton();
+        };
+
+        try {
+            recognition.start();
+        } catch (error) {
+            console.warn('Dictation unavailable:', error);
+            return;
+        }
+
+        this.recognition = recognition;
+        this.renderDictateButton();
+        this.setStatus(this.t('listening', 'Listening…'));
+        this.draft.focus();
+    }
+
+    stopDictation() {
+        if (!this.recognition) return;
+
+        const recognition = this.recognition;
+        this.recognition = null;
+        recognition.stop();
+        this.renderDictateButton();
+        this.setStatus('');
+    }
+
+    appendText(transcript) {
+        const words = transcript.trim();
+        if (!words) return;
+
+        const current = this.draft.value;
+        const separator = current && !/\s$/.test(current) ? ' ' : '';
+        this.draft.value = (current + separator + words).slice(0, this.maxLength);
+        this.handleInput();
+    }
+}
+
+window.LifeScribePromptSampler = LifeScribePromptSampler;
+window.lifescribePromptSampler = new LifeScribePromptSampler();
@@ -0,0 +1,251 @@
+/**
+ * LifeScribe Responsive Images
+ * Lazy loader driven by images/responsive/manifest.json (written by
+ * scripts/build-images.js). Picks the smallest variant that covers an
+ * element's rendered size at the current device pixel ratio, in the best
+ * format the browser decodes, with a blur-up placeholder until it loads.
+ * On slow or metered connections the loading policy (loading-policy.js)
+ * caps that pixel ratio, so phones get lighter files.
+ *
+ * - `[data-bg-image="Hero.jpg"]` elements get a CSS background image.
+ * - `img[data-responsive-src="Your Story 1.jpg"]` elements are upgraded to
+ *   a <picture> with AVIF/WebP/JPEG sources so the browser can choose.
+ *
+ * Without a manifest entry the original file is used, as before.
+ */
+
+class LifeScribeResponsiveImages {
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || 'images/responsive/manifest.json';
+        this.rootMargin = options.rootMargin || '200px 0px';
+        this.images = {};
+        this.formats = ['jpeg'];
+        this.pending = new Set();
+        this.manual = new WeakSet();
+        this.observer = null;
+
+        this.ready = Promise.all([this.loadManifest(), this.detectFormats()]);
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.observeAll());
+        } else {
+            this.observeAll();
+        }
+    }
+
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            const manifest = await response.json();
+            this.images = manifest.images || {};
+        } catch (error) {
+            console.warn('Responsive image manifest unavailable, using original images:', error);
+        }
+    }
+
+    /**
+     * Find out which modern formats decode, best first
+     */
+    async detectFormats() {
+        const probes = {
+            avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+            webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+        };
+
+        const supported = await Promise.all(Object.entries(probes).map(([format, uri]) => new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image.width > 0 ? format : null);
+            image.onerror = () => resolve(null);
+            image.src = uri;
+        })));
+
+        this.formats = [...supported.filter(Boolean), 'jpeg'];
+    }
+
+    /**
+     * Start watching every responsive element in the page
+     */
+    observeAll() {
+        const elements = document.querySelectorAll('[data-bg-image], img[data-responsive-src]');
+
+        if (!this.observer && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.observer.unobserve(entry.target);
+                        this.load(entry.target);
+                    }
+                });
+            }, { rootMargin: this.rootMargin });
+        }
+
+        elements.forEach(element => this.observe(element));
+    }
+
+    /**
+     * Show the placeholder now and load the real image once near the viewport.
+     * With `manual: true` the caller decides when to `load()` it (the
+     * carousel does, for slides scrolled out of its own viewport).
+     */
+    observe(element, options = {}) {
+        if (element.dataset.responsiveState) return;
+        element.dataset.responsiveState = 'pending';
+        this.pending.add(element);
+
+        this.ready.then(() => this.applyPlaceholder(element));
+
+        if (options.manual) {
+            this.manual.add(element);
+        } else if (this.observer) {
+            this.observer.observe(element);
+        } else {
+            this.load(element);
+        }
+    }
+
+    /**
+     * Load every element that has not loaded yet (used by interaction preloading)
+     */
+    loadAll() {
+        Array.from(this.pending).filter(element => !this.manual.has(element)).forEach(element => {
+            if (this.observer) this.observer.unobserve(element);
+            this.load(element);
+        });
+    }
+
+    applyPlaceholder(element) {
+        const entry = this.images[this.getSource(element)];
+        if (!entry || !entry.placeholder || element.dataset.responsiveState !== 'pending') return;
+
+        element.classList.add('is-placeholder');
+        element.style.backgroundImage = `url("${entry.placeholder}")`;
+        if (element.tagName === 'IMG') {
+            element.style.backgroundSize = 'cover';
+        }
+    }
+
+    async load(element) {
+        if (!this.pending.has(element)) return;
+        this.pending.delete(element);
+        element.dataset.responsiveState = 'loading';
+        element.classList.add('loading');
+
+        await this.ready;
+
+        if (element.tagName === 'IMG') {
+            this.upgradeImage(element);
+        } else {
+            this.loadBackground(element);
+        }
+    }
+
+    getSource(element) {
+        return element.dataset.bgImage || element.dataset.responsiveSrc;
+    }
+
+    /**
+     * Pixel width needed to cover the element at the current DPR.
+     * `background-size: cover` may scale by height, so account for aspect.
+     */
+    getRequiredWidth(element, entry) {
+        const rect = element.getBoundingClientRect();
+        const ratio = entry && entry.height ? entry.width / entry.height : 1;
+        const cssWidth = Math.max(rect.width, rect.height * ratio);
+        return Math.ceil(cssWidth * this.getPixelRatio());
+    }
+
+    /**
+     * Device pixel ratio, capped by the loading policy's image quality
+     */
+    getPixelRatio() {
+        const policy = window.lifescribeLoadingPolicy;
+        return policy ? policy.getPixelRatio() : (window.devicePixelRatio || 1);
+    }
+
+    /**
+     * Smallest variant at least `requiredWidth` wide, in the best supported format
+     */
+    pickVariant(entry, requiredWidth) {
+        const format = this.formats.find(candidate => entry.variants[candidate] && entry.variants[candidate].length);
+        if (!format) return null;
+
+        const variants = entry.variants[format].slice().sort((a, b) => a.width - b.width);
+        return variants.find(variant => variant.width >= requiredWidth) || variants[variants.length - 1];
+    }
+
+    loadBackground(element) {
+        const source = this.getSource(element);
+        const entry = this.images[source];
+        const variant = entry && this.pickVariant(entry, this.getRequiredWidth(element, entry));
+        const url = variant ? variant.src : source;
+
+        const image = new Image();
+        image.onload = () => {
+            element.style.backgroundImage = `url("${encodeURI(url)}")`;
+            this.markLoaded(element);
+        };
+        image.onerror = () => {
+            element.classList.remove('loading');
+            console.warn(`Failed to load image: ${url}`);
+        };
+        image.src = encodeURI(url);
+    }
+
+    /**
+     * Wrap an <img> in a <picture> with one <source> per modern format
+     */
+    upgradeImage(img) {
+        const source = this.getSource(img);
+        const entry = this.images[source];
+        // The browser picks from srcset at its own pixel ratio; a smaller
+        // `sizes` makes it honour the capped one
+        const scale = this.getPixelRatio() / (window.devicePixelRatio || 1);
+        const sizes = img.dataset.sizes || `${Math.ceil((img.getBoundingClientRect().width || 100) * scale)}px`;
+
+        img.addEventListener('load', () => this.markLoaded(img), { once: true });
+
+        if (!entry) {
+            img.src = encodeURI(source);
+            return;
+        }
+
+        const srcset = (format) => entry.variants[format]
+            .map(variant => `${encodeURI(variant.src)} ${variant.width}w`)
+            .join(', ');
+
+        const picture = document.createElement('picture');
+        ['avif', 'webp'].forEach(format => {
+            if (!entry.variants[format] || !entry.variants[format].length) return;
+            const sourceElement = document.createElement('source');
+            sourceElement.type = `image/${format}`;
+            sourceElement.srcset = srcset(format);
+            sourceElement.sizes = sizes;
+            picture.appendChild(sourceElement);
+        });
+
+        img.parentNode.insertBefore(picture, img);
+        picture.appendChild(img);
+
+        const fallback = entry.variants.jpeg || [];
+        img.sizes = sizes;
+        if (fallback.length) {
+            img.srcset = srcset('jpeg');
+            img.src = encodeURI(fallback[fallback.length - 1].src);
+        } else {
+            img.src = encodeURI(source);
+        }
+    }
+
+    markLoaded(element) {
+        element.dataset.responsiveState = 'loaded';
+        element.classList.remove('loading', 'is-placeholder');
+        element.classList.add('loaded');
+        if (element.tagName === 'IMG') {
+            element.style.backgroundImage = '';
+        }
+    }
+}
+
+window.LifeScribeResponsiveImages = LifeScribeResponsiveImages;
+window.lifescribeImages = new LifeScribeResponsiveImages();
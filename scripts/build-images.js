@@ -0,0 +1,123 @@
+/**
+ * LifeScribe Responsive Image Build
+ * Writes AVIF, WebP and JPEG variants of the large marketing images at
+ * several widths, plus a manifest (with blur-up placeholders) that
+ * responsive-images.js reads at runtime.
+ *
+ * Usage (from the repository root):
+ *   npm install
+ *   npm run build:images
+ *
+ * Re-run and commit the output whenever a source image or the SOURCES
+ * list changes. The hero <picture> in index.html lists the hero widths
+ * directly, so keep it in sync with HERO_WIDTHS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = 'images/responsive';
+
+const DEFAULT_WIDTHS = [480, 800, 1200, 1600];
+const HERO_WIDTHS = [640, 960, 1280, 1920, 2560];
+
+const SOURCES = [
+    { src: 'Hero.jpg', widths: HERO_WIDTHS },
+    { src: 'How it Works 1.jpg' },
+    { src: 'How it Works 2.jpg' },
+    { src: 'How it Works 3.jpg' },
+    { src: 'How it Works 4.jpg' },
+    { src: 'How it Works 5.jpg' },
+    { src: 'Oprah.png', widths: [300] },
+    { src: 'Your Story 1.jpg' },
+    { src: 'Your Story 2.jpg' },
+    // Sign of the Times slider
+    { src: '7c7afbda-ca81-492d-ac6a-296c0eefe795.sized-1000x1000.jpg', widths: [400, 800] },
+    { src: 'Bobbi-Kelly-and-Nick-Ercoline-Woodstock-1969-631.webp', widths: [400, 800] },
+    { src: 'Elvis_Presley_Jailhouse_Rock.jpg', widths: [400, 800] },
+    { src: 'moon-landing-textimage_4x3.avif', widths: [400, 800] },
+    { src: 'NL_1001_700x700 1.png', widths: [400, 800] },
+    { src: 'post-1_image0-52.webp', widths: [400, 800] }
+];
+
+const FORMATS = {
+    avif: (image) => image.avif({ quality: 50, effort: 4 }),
+    webp: (image) => image.webp({ quality: 72 }),
+    // JPEG has no alpha channel; flatten transparent PNGs onto the page background
+    jpeg: (image) => image.flatten({ background: '#FFFFFF' }).jpeg({ quality: 76, mozjpeg: true, progressive: true })
+};
+
+const PLACEHOLDER_WIDTH = 24;
+
+/**
+ * "How it Works 1.jpg" -> "how-it-works-1"
+ */
+function slugify(file) {
+    return path.basename(file, path.extname(file))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Widths larger than the source are skipped; the source width is used
+ * instead so every image gets at least one variant
+ */
+function targetWidths(sourceWidth, widths) {
+    const usable = widths.filter(width => width <= sourceWidth);
+    if (usable.length < widths.length && !usable.includes(sourceWidth)) {
+        usable.push(sourceWidth);
+    }
+    return usable;
+}
+
+async function buildImage({ src, widths = DEFAULT_WIDTHS }) {
+    const input = path.join(ROOT, src);
+    const { width, height } = await sharp(input).rotate().metadata();
+    const slug = slugify(src);
+    const entry = { width, height, placeholder: null, variants: {} };
+
+    for (const [format, encode] of Object.entries(FORMATS)) {
+        entry.variants[format] = [];
+
+        for (const targetWidth of targetWidths(width, widths)) {
+            const extension = format === 'jpeg' ? 'jpg' : format;
+            const file = `${OUTPUT_DIR}/${slug}-${targetWidth}.${extension}`;
+
+            await encode(sharp(input).rotate().resize({ width: targetWidth, withoutEnlargement: true }))
+                .toFile(path.join(ROOT, file));
+
+            entry.variants[format].push({ width: targetWidth, src: file });
+        }
+    }
+
+    const placeholder = await sharp(input).rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .flatten({ background: '#FFFFFF' })
+        .jpeg({ quality: 50 })
+        .toBuffer();
+    entry.placeholder = `data:image/jpeg;base64,${placeholder.toString('base64')}`;
+
+    console.log(`✓ ${src} -> ${Object.values(entry.variants).flat().length} variants`);
+    return entry;
+}
+
+async function main() {
+    fs.mkdirSync(path.join(ROOT, OUTPUT_DIR), { recursive: true });
+
+    const manifest = { generated: new Date().toISOString(), images: {} };
+
+    for (const source of SOURCES) {
+        manifest.images[source.src] = await buildImage(source);
+    }
+
+    fs.writeFileSync(path.join(ROOT, OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`✅ Wrote ${OUTPUT_DIR}/manifest.json`);
+}
+
+main().catch((error) => {
+    console.error('❌ Image build failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,273 @@
+/**
+ * LifeScribe Service Worker
+ * Versioned precache of the page shell, stale-while-revalidate for fonts
+ * and popup API reads, a size/age-limited runtime cache for marketing
+ * images, and an offline fallback page.
+ *
+ * The home page itself is served from the precache too, so its HTML
+ * always runs against the scripts and data of the same version.
+ *
+ * New versions wait until the page asks them to take over (the "Refresh"
+ * button in the update banner posts SKIP_WAITING).
+ */
+
+// Bump on every deploy that changes a precached file
+const CACHE_VERSION = 'v16';
+const CACHE_PREFIX = 'lifescribe-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const API_CACHE = `${CACHE_PREFIX}api-${CACHE_VERSION}`;
+const PAGE_CACHE = `${CACHE_PREFIX}pages-${CACHE_VERSION}`;
+
+const OFFLINE_URL = './offline.html';
+
+const SHELL_ASSETS = [
+    './',
+    './index.html',
+    OFFLINE_URL,
+    './manifest.json',
+    './theme.js',
+    './escape-html.js',
+    './loading-policy.js',
+    './i18n.js',
+    './locales/es.json',
+    './locales/fr.json',
+    './consent-manager.js',
+    './analytics.js',
+    './responsive-images.js',
+    './carousel.js',
+    './data/sign-of-the-times.json',
+    './timeline.js',
+    './data/timeline.json',
+    './prompt-sampler.js',
+    './data/prompts.json',
+    './cta-router.js',
+    './pricing.js',
+    './data/plans.json',
+    './faq.js',
+    './data/faq.json',
+    './images/responsive/manifest.json',
+    './debug-frontend.js',
+    './popup-system.js',
+    './brevo-chatbot.js',
+    './Horizontal Logo.png',
+    './images/favicon.png',
+    './images/logo_bg.png',
+    './Icon 1.png',
+    './Icon 2.png',
+    './Icon 3.png'
+];
+
+// Fonts are cross-origin; precaching them is best-effort
+const FONT_ASSETS = [
+    'https://fonts.googleapis.com/css2?family=Playfair+Display:wght@400;500;600;700&family=Inter:wght@300;400;600&display=swap'
+];
+
+const IMAGE_CACHE_LIMITS = {
+    maxEntries: 40,
+    maxBytes: 30 * 1024 * 1024,
+    maxAgeMs: 30 * 24 * 60 * 60 * 1000
+};
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_ASSETS);
+
+        const fonts = await caches.open(FONT_CACHE);
+        await Promise.all(FONT_ASSETS.map(url =>
+            fonts.add(new Request(url, { mode: 'cors' })).catch(error => {
+                console.warn('SW: font precache skipped', url, error);
+            })
+        ));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = [SHELL_CACHE, FONT_CACHE, IMAGE_CACHE, API_CACHE, PAGE_CACHE];
+
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !currentCaches.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.startsWith('/api/popup/active') || url.pathname.startsWith('/api/popup/config/')) {
+        event.respondWith(staleWhileRevalidate(request, API_CACHE, popupApiCacheKey(url)));
+    } else if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    } else if (url.origin === self.location.origin && request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(precacheFirst(request));
+    }
+});
+
+/**
+ * The home page comes from this version's precache, like the scripts it
+ * loads; a new deploy reaches visitors through the update banner. Other
+ * pages (redirect.html, the legal PDFs) are network first, with HTML kept
+ * under its own URL for offline visits, then the offline page.
+ */
+async function handleNavigation(request) {
+    const shell = await caches.open(SHELL_CACHE);
+
+    if (isShellRequest(new URL(request.url))) {
+        const cached = await shell.match('./index.html');
+        if (cached) return cached;
+
+        try {
+            const response = await fetch(request);
+            if (response.ok && isHTML(response)) {
+                shell.put('./index.html', response.clone());
+            }
+            return response;
+        } catch (error) {
+            return shell.match(OFFLINE_URL);
+        }
+    }
+
+    const pages = await caches.open(PAGE_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok && isHTML(response)) {
+            pages.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await pages.match(request, { ignoreSearch: true }))
+            || (await shell.match(OFFLINE_URL));
+    }
+}
+
+function isShellRequest(url) {
+    const scope = new URL(self.registration.scope);
+    return url.origin === scope.origin
+        && (url.pathname === scope.pathname || url.pathname === `${scope.pathname}index.html`);
+}
+
+function isHTML(response) {
+    return (response.headers.get('Content-Type') || '').includes('text/html');
+}
+
+/**
+ * Precached shell files are served from the current version's cache;
+ * anything else goes to the network
+ */
+async function precacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match(request)) || fetch(request);
+}
+
+/**
+ * Answer from cache immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(request, cacheName, cacheKey = request) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(cacheKey);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(cacheKey, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    return cached || network;
+}
+
+/**
+ * The config endpoint carries the session ID, which should not split the cache
+ */
+function popupApiCacheKey(url) {
+    const keyUrl = new URL(url.href);
+    keyUrl.searchParams.delete('session_id');
+    return keyUrl.href;
+}
+
+/**
+ * Cache-first for large marketing images, with entry, byte and age limits
+ */
+async function cacheFirstImage(request) {
+    // Logos and icons are part of the versioned shell
+    const precached = await caches.match(request, { cacheName: SHELL_CACHE });
+    if (precached) return precached;
+
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+
+    if (cached) {
+        const cachedAt = Number(cached.headers.get('sw-cached-at')) || 0;
+        if (Date.now() - cachedAt < IMAGE_CACHE_LIMITS.maxAgeMs) {
+            return cached;
+        }
+        await cache.delete(request);
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const body = await response.clone().blob();
+            if (body.size <= IMAGE_CACHE_LIMITS.maxBytes) {
+                const headers = new Headers(response.headers);
+                headers.set('sw-cached-at', String(Date.now()));
+                headers.set('sw-cached-size', String(body.size));
+                await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+                await trimImageCache(cache);
+            }
+        }
+        return response;
+    } catch (error) {
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Drop the oldest images until the cache is within its limits
+ */
+async function trimImageCache(cache) {
+    const requests = await cache.keys();
+    const entries = await Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        return {
+            request,
+            cachedAt: Number(response.headers.get('sw-cached-at')) || 0,
+            size: Number(response.headers.get('sw-cached-size')) || 0
+        };
+    }));
+
+    entries.sort((a, b) => a.cachedAt - b.cachedAt);
+    let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+    while (entries.length > IMAGE_CACHE_LIMITS.maxEntries || totalBytes > IMAGE_CACHE_LIMITS.maxBytes) {
+        const oldest = entries.shift();
+        totalBytes -= oldest.size;
+        await cache.delete(oldest.request);
+    }
+}
@@ -0,0 +1,233 @@
+/**
+ * LifeScribeAccessibleDialog (popup-system.js): initial focus, focus trap,
+ * inert background, scroll lock, focus restore and live-region
+ * announcements, in jsdom.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+
+let window;
+let document;
+let Dialog;
+
+/**
+ * A page with a trigger button and background content, with the popup
+ * system loaded but not started
+ */
+function loadPage() {
+    const dom = new JSDOM(`<!DOCTYPE html>
+        <body>
+            <header><a href="#top">Home</a></header>
+            <main><button id="trigger">Open</button></main>
+        </body>`, { url: 'https://trylifescribe.com/', runScripts: 'dangerously', pretendToBeVisual: true });
+
+    window = dom.window;
+    document = window.document;
+    window.LifeScribePopupConfig = { autoInit: false };
+    window.fetch = async () => ({ ok: true, status: 200, json: async () => ({ success: true, popups: [] }) });
+
+    const script = document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(root, 'popup-system.js'), 'utf8');
+    document.head.appendChild(script);
+
+    Dialog = window.eval('LifeScribeAccessibleDialog');
+}
+
+function createOverlay(content) {
+    const overlay = document.createElement('div');
+    overlay.id = 'lifescribe-popup-test';
+    overlay.className = 'lifescribe-popup-overlay';
+    overlay.innerHTML = `<div class="lifescribe-popup-content">${content}</div>`;
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+const FORM = `
+    <button class="lifescribe-popup-close" aria-label="Close">×</button>
+    <h2 class="lifescribe-popup-title">Get 10% off</h2>
+    <p class="lifescribe-popup-subtitle">Join the list</p>
+    <form class="lifescribe-popup-form">
+        <input type="text" name="name">
+        <input type="email" name="email">
+        <button type="submit" class="lifescribe-popup-submit">Send</button>
+    </form>`;
+
+function pressTab(shiftKey = false) {
+    const event = new window.KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(loadPage);
+
+test('applies dialog semantics and labels', () => {
+    const dialog = new Dialog(createOverlay(FORM));
+    dialog.activate();
+
+    const content = document.querySelector('.lifescribe-popup-content');
+    assert.equal(content.getAttribute('role'), 'dialog');
+    assert.equal(content.getAttribute('aria-modal'), 'true');
+    assert.equal(document.getElementById(content.getAttribute('aria-labelledby')).textContent, 'Get 10% off');
+    assert.equal(document.getElementById(content.getAttribute('aria-describedby')).textContent, 'Join the list');
+});
+
+test('focuses the email field first', () => {
+    new Dialog(createOverlay(FORM)).activate();
+    assert.equal(document.activeElement.name, 'email');
+});
+
+test('falls back to the first field, then the first control, then the dialog', () => {
+    new Dialog(createOverlay('<button id="ok">OK</button><input id="code">')).activate();
+    assert.equal(document.activeElement.id, 'code');
+
+    loadPage();
+    new Dialog(createOverlay('<a href="#x" id="link">More</a><button>OK</button>')).activate();
+    assert.equal(document.activeElement.id, 'link');
+
+    loadPage();
+    new Dialog(createOverlay('<p>Thanks!</p>')).activate();
+    assert.equal(document.activeElement, document.querySelector('.lifescribe-popup-content'));
+});
+
+test('traps Tab and Shift+Tab inside the dialog', () => {
+    new Dialog(createOverlay(FORM)).activate();
+    const close = document.querySelector('.lifescribe-popup-close');
+    const submit = document.querySelector('.lifescribe-popup-submit');
+
+    submit.focus();
+    assert.equal(pressTab().defaultPrevented, true);
+    assert.equal(document.activeElement, close);
+
+    assert.equal(pressTab(true).defaultPrevented, true);
+    assert.equal(document.activeElement, submit);
+
+    // Moving between inner controls is left to the browser
+    document.querySelector('input[name="name"]').focus();
+    assert.equal(pressTab().defaultPrevented, false);
+});
+
+test('pulls focus back in when it has escaped the dialog', () => {
+    new Dialog(createOverlay(FORM)).activate();
+
+    document.body.tabIndex = -1;
+    document.body.focus();
+    pressTab();
+    assert.equal(document.activeElement, document.querySelector('.lifescribe-popup-close'));
+});
+
+test('skips disabled and hidden controls when trapping focus', () => {
+    new Dialog(createOverlay(`
+        <button id="first">First</button>
+        <button id="last">Last</button>
+        <button disabled>Disabled</button>
+        <div hidden><button>Hidden</button></div>`)).activate();
+
+    document.getElementById('last').focus();
+    pressTab();
+    assert.equal(document.activeElement.id, 'first');
+});
+
+test('calls onEscape for the Escape key', () => {
+    let escaped = 0;
+    new Dialog(createOverlay(FORM), { onEscape: () => escaped++ }).activate();
+
+    document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+    assert.equal(escaped, 1);
+});
+
+test('makes the background inert and restores it', () => {
+    const header = document.querySelector('header');
+    const main = document.querySelector('main');
+    main.setAttribute('aria-hidden', 'false');
+    header.setAttribute('inert', '');
+
+    const overlay = createOverlay(FORM);
+    const dialog = new Dialog(overlay);
+    dialog.activate();
+
+    [header, main].forEach(element => {
+        assert.equal(element.hasAttribute('inert'), true);
+        assert.equal(element.getAttribute('aria-hidden'), 'true');
+    });
+    assert.equal(overlay.hasAttribute('inert'), false);
+    assert.equal(overlay.hasAttribute('aria-hidden'), false);
+
+    dialog.deactivate();
+
+    // Attributes the page set itself survive
+    assert.equal(header.hasAttribute('inert'), true);
+    assert.equal(header.hasAttribute('aria-hidden'), false);
+    assert.equal(main.hasAttribute('inert'), false);
+    assert.equal(main.getAttribute('aria-hidden'), 'false');
+});
+
+test('locks page scrolling and restores the previous styles', () => {
+    document.body.style.overflow = 'auto';
+    const dialog = new Dialog(createOverlay(FORM));
+
+    dialog.activate();
+    assert.equal(document.body.style.overflow, 'hidden');
+
+    dialog.deactivate();
+    assert.equal(document.body.style.overflow, 'auto');
+    assert.equal(document.body.style.paddingRight, '');
+});
+
+test('returns focus to the element that had it', () => {
+    const trigger = document.getElementById('trigger');
+    trigger.focus();
+
+    const dialog = new Dialog(createOverlay(FORM));
+    dialog.activate();
+    assert.notEqual(document.activeElement, trigger);
+
+    dialog.deactivate();
+    assert.equal(document.activeElement, trigger);
+});
+
+test('stops trapping focus once deactivated', () => {
+    const dialog = new Dialog(createOverlay(FORM));
+    dialog.activate();
+    dialog.deactivate();
+
+    document.querySelector('.lifescribe-popup-submit').focus();
+    assert.equal(pressTab().defaultPrevented, false);
+});
+
+test('announces messages politely, and errors assertively', async () => {
+    const dialog = new Dialog(createOverlay(FORM));
+    dialog.activate();
+    const region = document.querySelector('.lifescribe-popup-live-region');
+
+    dialog.announce('Thanks for joining!');
+    await wait(60);
+    assert.equal(region.getAttribute('aria-live'), 'polite');
+    assert.equal(region.getAttribute('role'), 'status');
+    assert.equal(region.textContent, 'Thanks for joining!');
+
+    dialog.announce('Email is required', 'assertive');
+    assert.equal(region.textContent, '', 'cleared first so a repeated message is read again');
+    await wait(60);
+    assert.equal(region.getAttribute('aria-live'), 'assertive');
+    assert.equal(region.getAttribute('role'), 'alert');
+    assert.equal(region.textContent, 'Email is required');
+});
+
+test('popup errors reach the live region', async () => {
+    const popups = window.lifescribePopups;
+    await popups.showPopup({ id: 'test', name: 'Test', html_template: `<div class="lifescribe-popup-content">${FORM}</div>` });
+
+    popups.showFormError('Please enter a valid email address');
+    await wait(60);
+    const region = document.querySelector('.lifescribe-popup-live-region');
+    assert.equal(region.getAttribute('role'), 'alert');
+    assert.equal(region.textContent, 'Please enter a valid email address');
+});
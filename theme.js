@@ -0,0 +1,152 @@
+/**
+ * LifeScribe Theme
+ * Light, dark and high-contrast themes for the page, popups and banners.
+ *
+ * Colors are CSS custom properties (`--ls-color-*`, `--ls-popup-*`)
+ * declared per theme at the top of index.html; components use the tokens
+ * instead of literal colors. This script sets `data-theme` on <html>. It
+ * loads in <head> before the page renders, so the first paint already
+ * has the right theme.
+ *
+ * The theme follows the system (dark mode, increased contrast) until the
+ * visitor picks one in a `<select data-theme-switcher>`; that choice is
+ * kept in localStorage (`lifescribe_theme`).
+ *
+ * Changing theme dispatches `lifescribe:theme-changed` on document with
+ * `{ theme, preference }`.
+ */
+
+class LifeScribeTheme {
+    constructor(options = {}) {
+        this.themes = options.themes || ['light', 'dark', 'high-contrast'];
+        this.storageKey = 'lifescribe_theme';
+        this.darkQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.contrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+        this.preference = this.readPreference();
+        this.theme = null;
+
+        this.apply();
+
+        // System changes only matter while the visitor hasn't chosen
+        [this.darkQuery, this.contrastQuery].forEach(query => {
+            if (query && query.addEventListener) {
+                query.addEventListener('change', () => {
+                    if (this.preference === 'system') this.apply();
+                });
+            }
+        });
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.renderSwitchers();
+        document.addEventListener('lifescribe:locale-changed', () => this.renderSwitchers());
+
+        if (window.lifescribeI18n) {
+            await window.lifescribeI18n.ready;
+            this.renderSwitchers();
+        }
+    }
+
+    t(key, fallback) {
+        return window.lifescribeI18n ? window.lifescribeI18n.t(`theme.${key}`, fallback) : fallback;
+    }
+
+    /**
+     * 'system' or one of the themes
+     */
+    readPreference() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return this.themes.includes(stored) ? stored : 'system';
+        } catch (error) {
+            return 'system';
+        }
+    }
+
+    /**
+     * Theme for the current preference and system settings
+     */
+    resolve() {
+        if (this.preference !== 'system') return this.preference;
+        if (this.contrastQuery && this.contrastQuery.matches) return 'high-contrast';
+        if (this.darkQuery && this.darkQuery.matches) return 'dark';
+        return 'light';
+    }
+
+    apply() {
+        const theme = this.resolve();
+        if (theme === this.theme) return;
+
+        this.theme = theme;
+        document.documentElement.dataset.theme = theme;
+        document.dispatchEvent(new CustomEvent('lifescribe:theme-changed', {
+            detail: { theme, preference: this.preference }
+        }));
+    }
+
+    /**
+     * Pick a theme ('system' to follow the device again) and remember it
+     */
+    setPreference(preference) {
+        if (preference !== 'system' && !this.themes.includes(preference)) return;
+
+        this.preference = preference;
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, preference);
+            }
+        } catch (error) {
+            console.warn('Could not save theme preference:', error);
+        }
+
+        this.apply();
+        this.renderSwitchers();
+    }
+
+    /**
+     * Current value of a token, e.g. getToken('color-primary'), for code
+     * that can't use CSS variables directly
+     */
+    getToken(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(`--ls-${name}`).trim();
+    }
+
+    /**
+     * Fill `<select data-theme-switcher>` with the theme choices
+     */
+    renderSwitchers(root = document) {
+        const labels = {
+            system: this.t('system', 'Match device'),
+            light: this.t('light', 'Light'),
+            dark: this.t('dark', 'Dark'),
+            'high-contrast': this.t('high_contrast', 'High contrast')
+        };
+
+        root.querySelectorAll('select[data-theme-switcher]').forEach(select => {
+            if (!select.dataset.themeSwitcherReady) {
+                select.dataset.themeSwitcherReady = 'true';
+                select.addEventListener('change', () => this.setPreference(select.value));
+            }
+
+            select.innerHTML = '';
+            ['system', ...this.themes].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = labels[value] || value;
+                option.selected = value === this.preference;
+                select.appendChild(option);
+            });
+        });
+    }
+}
+
+window.LifeScribeTheme = LifeScribeTheme;
+window.lifescribeTheme = new LifeScribeTheme();
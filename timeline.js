@@ -0,0 +1,353 @@
+/**
+ * LifeScribe Timeline
+ * "What was happening when you were growing up?" in the Sign of the Times
+ * section. The visitor enters a birth year (1952) or decade (1950s) and
+ * gets a scrollable timeline of cultural events from their childhood,
+ * teens and twenties, each with a memory prompt to start writing from.
+ *
+ * Events and life stages come from a bundled data file
+ * (`data-timeline-src`, see data/timeline.json) and are translated with a
+ * `translations` object per entry. Nothing is sent anywhere: analytics only
+ * sees the birth decade.
+ *
+ * Choosing a prompt stores `{ id, text, source }` in sessionStorage
+ * (`lifescribe_prompt`) and dispatches `lifescribe:prompt-selected`, so the
+ * CTA router can carry it to signup.
+ */
+
+class LifeScribeTimeline {
+    constructor(options = {}) {
+        this.root = null;
+        this.events = [];
+        this.stages = [];
+        this.i18n = window.lifescribeI18n;
+        this.minYear = options.minYear || 1920;
+        this.promptKey = 'lifescribe_prompt';
+        this.birthKey = 'lifescribe_timeline_birth';
+        this.birth = null;
+        this.selectedId = null;
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.init());
+        } else {
+            this.init();
+        }
+    }
+
+    async init() {
+        this.root = document.querySelector('[data-timeline-src]');
+        if (!this.root) return;
+
+        try {
+            const response = await fetch(this.root.dataset.timelineSrc);
+            if (!response.ok) throw new Error(`status ${response.status}`);
+            const data = await response.json();
+            this.stages = data.stages || [];
+            this.events = (data.events || []).slice().sort((a, b) => a.year - b.year);
+            await this.i18n.ready;
+        } catch (error) {
+            console.warn('Timeline data unavailable:', error);
+            return;
+        }
+
+        this.render();
+        this.restore();
+
+        document.addEventListener('lifescribe:locale-changed', () => {
+            this.translate();
+            this.renderTimeline();
+            // The stored prompt text follows the page language
+            if (this.selectedId) this.storePrompt(this.selectedId);
+        });
+
+        // A prompt chosen elsewhere on the page replaces this one
+        document.addEventListener('lifescribe:prompt-selected', (event) => {
+            const prompt = event.detail && event.detail.prompt;
+            if (!prompt || prompt.source === 'timeline' || !this.selectedId) return;
+            this.selectedId = null;
+            this.renderTimeline();
+            this.renderSelection();
+        });
+
+        console.log(`🕰️ Timeline ready with ${this.events.length} events`);
+    }
+
+    t(key, fallback, params) {
+        return this.i18n.t(`timeline.${key}`, fallback, params);
+    }
+
+    render() {
+        this.root.innerHTML = `
+            <h3 class="timeline-title"></h3>
+            <form class="timeline-form" novalidate>
+                <label for="timeline-birth" class="timeline-label"></label>
+                <div class="timeline-field">
+                    <input type="text" id="timeline-birth" class="timeline-input" inputmode="numeric" autocomplete="bday-year" maxlength="6" aria-describedby="timeline-hint timeline-error">
+                    <button type="submit" class="timeline-submit"></button>
+                </div>
+                <p id="timeline-hint" class="timeline-hint"></p>
+                <p id="timeline-error" class="timeline-error" hidden></p>
+            </form>
+            <p class="visually-hidden" aria-live="polite"></p>
+            <div class="timeline-results"></div>
+            <div class="timeline-selection" aria-live="polite" hidden>
+                <p class="timeline-selection-text"></p>
+                <a class="timeline-cta" data-cta="timeline" href="#"></a>
+            </div>
+        `;
+
+        this.form = this.root.querySelector('.timeline-form');
+        this.input = this.root.querySelector('.timeline-input');
+        this.error = this.root.querySelector('.timeline-error');
+        this.status = this.root.querySelector('[aria-live]');
+        this.results = this.root.querySelector('.timeline-results');
+        this.selection = this.root.querySelector('.timeline-selection');
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.show(this.input.value);
+        });
+
+        this.results.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-timeline-prompt]');
+            if (button) this.selectPrompt(button.dataset.timelinePrompt);
+        });
+
+        this.translate();
+    }
+
+    translate() {
+        this.root.querySelector('.timeline-title').textContent = this.t('title', 'What was happening when you were growing up?');
+        this.root.querySelector('.timeline-label').textContent = this.t('label', 'What year were you born?');
+        this.root.querySelector('.timeline-submit').textContent = this.t('submit', 'Show my timeline');
+        this.root.querySelector('.timeline-hint').textContent = this.t('hint', 'A year like 1952 or a decade like 1950s');
+        this.selection.querySelector('.timeline-cta').textContent = this.t('cta', 'Start this story free');
+        if (!this.error.hidden) this.error.textContent = this.getInvalidMessage();
+        this.renderSelection();
+    }
+
+    /**
+     * Pick up the timeline and prompt from earlier in this browser tab
+     */
+    restore() {
+        let value = null;
+        let prompt = null;
+        try {
+            value = sessionStorage.getItem(this.birthKey);
+            prompt = JSON.parse(sessionStorage.getItem(this.promptKey));
+        } catch (error) {
+            return;
+        }
+
+        if (!value || !this.parseBirth(value)) return;
+
+        this.input.value = value;
+        this.birth = this.parseBirth(value);
+        if (prompt && prompt.source === 'timeline' && this.events.some(event => event.id === prompt.id)) {
+            this.selectedId = prompt.id;
+        }
+        this.renderTimeline();
+        this.renderSelection();
+    }
+
+    /**
+     * "1952" is a birth year; "1950s", "1950's" and "50s" are a decade,
+     * placed mid-decade and marked approximate. Returns null when invalid.
+     */
+    parseBirth(value) {
+        const text = String(value).trim().toLowerCase();
+        const maxYear = new Date().getFullYear();
+        let birth = null;
+
+        let match = text.match(/^(\d{4})$/);
+        if (match) {
+            birth = { year: Number(match[1]), decade: Math.floor(Number(match[1]) / 10) * 10, approximate: false };
+        }
+
+        match = text.match(/^(\d{3}0)\s*'?s$/) || text.match(/^'?(\d0)\s*'?s$/);
+        if (match) {
+            const decade = match[1].length === 2 ? 1900 + Number(match[1]) : Number(match[1]);
+            birth = { year: decade + 5, decade, approximate: true };
+        }
+
+        if (!birth || birth.decade < Math.floor(this.minYear / 10) * 10 || birth.year > maxYear) return null;
+        birth.year = Math.max(this.minYear, Math.min(maxYear, birth.year));
+        return birth;
+    }
+
+    getInvalidMessage() {
+        return this.t('invalid', 'Enter a year between {min} and {max}, like 1952, or a decade like 1950s.', {
+            min: String(this.minYear),
+            max: String(new Date().getFullYear())
+        });
+    }
+
+    show(value) {
+        const birth = this.parseBirth(value);
+        if (!birth) {
+            this.error.textContent = this.getInvalidMessage();
+            this.error.hidden = false;
+            this.input.setAttribute('aria-invalid', 'true');
+            this.input.focus();
+            return;
+        }
+
+        this.error.hidden = true;
+        this.input.removeAttribute('aria-invalid');
+        this.birth = birth;
+
+        try {
+            sessionStorage.setItem(this.birthKey, String(value).trim());
+        } catch (error) {
+            // Not remembering the year is fine
+        }
+
+        const count = this.renderTimeline();
+        this.results.scrollLeft = 0;
+
+        if (window.lifescribeAnalytics) {
+            window.lifescribeAnalytics.track('timeline_search', {
+                birth_decade: birth.decade,
+                approximate: birth.approximate,
+                events: count
+            });
+        }
+    }
+
+    /**
+     * Life stages for the current birth year, each with the events that
+     * fall inside it
+     */
+    getStages() {
+        return this.stages.map(source => {
+            const stage = this.i18n.localize(source);
+            const from = this.birth.year + stage.from_age;
+            const to = this.birth.year + stage.to_age;
+            return {
+                ...stage,
+                from,
+                to,
+                events: this.events
+                    .filter(event => event.year >= from && event.year <= to)
+                    .map(event => this.i18n.localize(event))
+            };
+        }).filter(stage => stage.events.length);
+    }
+
+    /**
+     * Draw the timeline and return how many events it shows
+     */
+    renderTimeline() {
+        if (!this.birth) return 0;
+
+        const escape = lifescribeEscapeHTML;
+        const stages = this.getStages();
+        const count = stages.reduce((total, stage) => total + stage.events.length, 0);
+
+        if (!count) {
+            this.results.innerHTML = `<p class="timeline-empty">${escape(this.t('empty', "We don't have events for those years yet. Try another year."))}</p>`;
+            this.status.textContent = '';
+            return 0;
+        }
+
+        const stagesHTML = stages.map(stage => `
+            <li class="timeline-stage">
+                <h4 class="timeline-stage-title">
+                    ${escape(stage.label)}
+                    <span class="timeline-stage-years">${stage.from}–${stage.to}</span>
+                </h4>
+                <ol class="timeline-events">
+                    ${stage.events.map(event => this.renderEvent(event)).join('')}
+                </ol>
+            </li>
+        `).join('');
+
+        this.results.innerHTML = `
+            <div class="timeline-scroller" role="region" tabindex="0" aria-label="${escape(this.t('region', 'Your timeline'))}">
+                <ol class="timeline-stages">${stagesHTML}</ol>
+            </div>
+        `;
+
+        const first = stages[0].from;
+        const last = stages[stages.length - 1].to;
+        this.status.textContent = this.t('status', {
+            one: '{count} moment from {from} to {to}',
+            other: '{count} moments from {from} to {to}'
+        }, { count, from: String(first), to: String(last) });
+
+        return count;
+    }
+
+    renderEvent(event) {
+        const escape = lifescribeEscapeHTML;
+        const selected = event.id === this.selectedId;
+        const age = this.birth.approximate ? '' : `
+            <span class="timeline-age">${escape(this.t('age', 'Age {age}', { age: event.year - this.birth.year }))}</span>`;
+
+        return `
+            <li class="timeline-event${selected ? ' selected' : ''}">
+                <span class="timeline-year">${event.year}</span>${age}
+                <p class="timeline-event-title">${escape(event.title)}</p>
+                <p class="timeline-prompt">${escape(this.t('quote', '“{text}”', { text: event.prompt }))}</p>
+                <button type="button" class="timeline-prompt-button" data-timeline-prompt="${escape(event.id)}" aria-pressed="${selected}">
+                    ${escape(this.t('choose', 'Write about this'))}<span class="visually-hidden">: ${escape(event.title)}</span>
+                </button>
+            </li>
+        `;
+    }
+
+    /**
+     * Choose a prompt to start with at signup; choosing it again clears it
+     */
+    selectPrompt(id) {
+        this.selectedId = this.selectedId === id ? null : id;
+
+        this.results.querySelectorAll('[data-timeline-prompt]').forEach(button => {
+            const selected = button.dataset.timelinePrompt === this.selectedId;
+            button.setAttribute('aria-pressed', String(selected));
+            button.closest('.timeline-event').classList.toggle('selected', selected);
+        });
+
+        this.storePrompt(this.selectedId);
+        this.renderSelection();
+
+        if (this.selectedId && window.lifescribeAnalytics) {
+            window.lifescribeAnalytics.track('prompt_select', { prompt_id: this.selectedId, source: 'timeline' });
+        }
+    }
+
+    getSelectedEvent() {
+        const event = this.events.find(item => item.id === this.selectedId);
+        return event ? this.i18n.localize(event) : null;
+    }
+
+    storePrompt(id) {
+        const event = id && this.getSelectedEvent();
+        const prompt = event ? { id: event.id, text: event.prompt, source: 'timeline' } : null;
+
+        try {
+            if (prompt) {
+                sessionStorage.setItem(this.promptKey, JSON.stringify(prompt));
+            } else {
+                sessionStorage.removeItem(this.promptKey);
+            }
+        } catch (error) {
+            console.warn('Could not store the chosen prompt:', error);
+        }
+
+        document.dispatchEvent(new CustomEvent('lifescribe:prompt-selected', { detail: { prompt } }));
+    }
+
+    renderSelection() {
+        const event = this.getSelectedEvent();
+        this.selection.hidden = !event;
+        if (!event) return;
+
+        this.selection.querySelector('.timeline-selection-text').textContent = this.t('selected', 'Your first story: {quote}', {
+            quote: this.t('quote', '“{text}”', { text: event.prompt })
+        });
+    }
+}
+
+window.LifeScribeTimeline = LifeScribeTimeline;
+window.lifescribeTimeline = new LifeScribeTimeline();